@@ -4,6 +4,7 @@ const handler = (controller) => async (req, res) => {
     pathParameters: req.params,
     queryStringParameters: req.query,
     headers: req.headers,
+    user: req.user,
   });
   res.status(result.statusCode).json(JSON.parse(result.body));
 };
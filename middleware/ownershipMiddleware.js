@@ -0,0 +1,94 @@
+// Student Data Ownership Middleware
+
+const AWS = require('aws-sdk');
+const { SUPERUSER_ROLE } = require('../modules/roles/permissions');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const ENROLLMENTS_TABLE = process.env.ENROLLMENTS_TABLE || 'TestEnrollments';
+const COURSES_TABLE = process.env.COURSES_TABLE || 'TestCourses';
+
+// Whether the student is actively enrolled in any course the teacher instructs
+const isTeacherOfStudent = async (teacherId, studentId) => {
+  const courseIds = new Set();
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({
+      TableName: ENROLLMENTS_TABLE,
+      IndexName: 'userId-enrollmentDate-index',
+      KeyConditionExpression: 'user_id = :userId',
+      FilterExpression: 'is_active = :active',
+      ExpressionAttributeValues: { ':userId': studentId, ':active': true },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    (result.Items || []).forEach(enrollment => {
+      if (enrollment.course_id) courseIds.add(enrollment.course_id);
+    });
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  const ids = [...courseIds];
+  for (let i = 0; i < ids.length; i += 100) {
+    const result = await dynamoDB.batchGet({
+      RequestItems: {
+        [COURSES_TABLE]: {
+          Keys: ids.slice(i, i + 100).map(courseId => ({ course_id: courseId })),
+          ProjectionExpression: 'course_id, instructor_id'
+        }
+      }
+    }).promise();
+    const courses = result.Responses[COURSES_TABLE] || [];
+    if (courses.some(course => course.instructor_id === teacherId)) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether the caller may see a student's records
+ * Students see their own, parents their linked students, teachers students enrolled in their courses
+ * @param {Object} user - req.user / event.user with role, permissions and linkedStudentIds loaded
+ * @param {string} studentId - The student whose data is requested
+ */
+const canAccessStudent = async (user, studentId) => {
+  if (!user || !studentId) return false;
+  if (user.role === SUPERUSER_ROLE || user.userId === studentId) return true;
+
+  const permissions = user.permissions || [];
+  if (permissions.includes('canViewLinkedStudents') && (user.linkedStudentIds || []).includes(studentId)) {
+    return true;
+  }
+  if (permissions.includes('canGradeAssignments')) {
+    return isTeacherOfStudent(user.userId, studentId);
+  }
+  return false;
+};
+
+/**
+ * Middleware restricting a route to callers allowed to see the student named by a path parameter
+ * Place after authenticate / requirePermission so req.user has its role loaded
+ * Usage: router.get('/users/:userId/results', requirePermission(...), requireOwnership('userId'), handler(...))
+ */
+const requireOwnership = (paramName = 'userId') => async (req, res, next) => {
+  try {
+    if (!(await canAccessStudent(req.user, req.params[paramName]))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have access to this student\'s records'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('RequireOwnership Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authorization failed',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  canAccessStudent,
+  requireOwnership
+};
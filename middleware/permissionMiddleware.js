@@ -0,0 +1,108 @@
+// Role-Based Permission Middleware
+
+const AWS = require('aws-sdk');
+const { verifyJWT } = require('./jwtMiddleware');
+const { DEFAULT_PERMISSIONS, hasPermission } = require('../modules/roles/permissions');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const USERS_TABLE = process.env.USERS_TABLE || 'TestUsers';
+const ROLES_TABLE = process.env.ROLES_TABLE || 'TestRoles';
+
+/**
+ * Resolve a user's role_id to { role_name, permissions }
+ * role_id holds either a Roles table id or a role name such as 'student'
+ */
+const resolveRole = async (roleId) => {
+  if (!roleId) return null;
+
+  const byId = await dynamoDB.get({
+    TableName: ROLES_TABLE,
+    Key: { role_id: roleId }
+  }).promise();
+  if (byId.Item) return byId.Item;
+
+  const roleName = String(roleId).toLowerCase().trim();
+  const byName = await dynamoDB.query({
+    TableName: ROLES_TABLE,
+    IndexName: 'roleName-index',
+    KeyConditionExpression: 'role_name = :roleName',
+    ExpressionAttributeValues: { ':roleName': roleName }
+  }).promise();
+  if (byName.Items && byName.Items.length > 0) return byName.Items[0];
+
+  if (DEFAULT_PERMISSIONS[roleName]) {
+    return { role_name: roleName, permissions: DEFAULT_PERMISSIONS[roleName] };
+  }
+  return null;
+};
+
+/**
+ * Middleware to load the caller's role and permissions onto req.user (runs after verifyJWT)
+ */
+const loadUserRole = async (req, res, next) => {
+  try {
+    const result = await dynamoDB.get({
+      TableName: USERS_TABLE,
+      Key: { user_id: req.user.userId }
+    }).promise();
+
+    const user = result.Item;
+    if (!user || user.status === 'inactive') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'No active user profile found for this account'
+      });
+    }
+
+    const role = await resolveRole(user.role_id);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `Unknown role: ${user.role_id}`
+      });
+    }
+
+    req.user.role = role.role_name;
+    req.user.permissions = role.permissions || [];
+    req.user.linkedStudentIds = user.linkedStudentIds || [];
+
+    next();
+  } catch (error) {
+    console.error('LoadUserRole Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authorization failed',
+      message: error.message
+    });
+  }
+};
+
+// Any signed-in user with a known role
+const authenticate = [verifyJWT, loadUserRole];
+
+/**
+ * Restrict a route to callers holding at least one of the given permissions (admins always pass)
+ * Usage: router.put('/:answerId/evaluate', requirePermission('canGradeAssignments'), handler(...))
+ */
+const requirePermission = (...permissions) => [
+  ...authenticate,
+  (req, res, next) => {
+    if (!hasPermission(req.user.role, req.user.permissions, permissions)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `Requires permission: ${permissions.join(' or ')}`
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  resolveRole
+};
@@ -0,0 +1,166 @@
+const service = require('./service');
+const answersService = require('../answers/service');
+const answersController = require('../answers/controller');
+
+const GRADE_FIELDS = ['marks_awarded', 'rubric_scores', 'is_correct', 'feedback'];
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// 1. Queue Proposals for an Exam's pending written answers (the AI grading worker runs the job; poll it with getJob)
+async function generateProposals(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    const job = await service.createJob(examId, {
+      questionId: body.question_id || null,
+      requestedBy: event.user?.userId || null
+    });
+
+    return createResponse(202, { success: true, message: 'Grading proposals queued', data: job });
+  } catch (error) {
+    console.error('GenerateProposals Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to queue grading proposals', error: error.message });
+  }
+}
+
+// 2. Get Review Queue for an Exam (pending_review by default, with the student's answer)
+async function getReviewQueue(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { status = service.PROPOSAL_STATUS.PENDING_REVIEW, questionId } = event.queryStringParameters || {};
+
+    const [proposals, answers] = await Promise.all([
+      service.getExamProposals(examId),
+      answersService.getExamAnswers(examId)
+    ]);
+    const answersById = new Map(answers.map(a => [a.answer_id, a]));
+
+    const data = proposals
+      .filter(p => status === 'all' || p.status === status)
+      .filter(p => !questionId || p.question_id === questionId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(p => ({ ...p, answer_text: answersById.get(p.answer_id)?.answer_text ?? null }));
+
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetReviewQueue Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get review queue', error: error.message });
+  }
+}
+
+// 3. Accept Proposal (as proposed, or with the teacher's edits) and evaluate the answer
+async function acceptProposal(event) {
+  try {
+    const proposalId = event.pathParameters?.proposalId;
+    if (!proposalId) return createResponse(400, { success: false, message: 'proposalId is required' });
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    const reviewerId = event.user?.userId;
+    if (!reviewerId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const proposal = await service.getProposal(proposalId);
+    if (!proposal) return createResponse(404, { success: false, message: 'Proposal not found' });
+    if (proposal.status !== service.PROPOSAL_STATUS.PENDING_REVIEW) {
+      return createResponse(409, { success: false, message: `Proposal is ${proposal.status}` });
+    }
+
+    const edited = GRADE_FIELDS.some(field => body[field] !== undefined);
+    const grade = {
+      is_correct: body.is_correct !== undefined ? body.is_correct : proposal.is_correct,
+      feedback: body.feedback !== undefined ? body.feedback : proposal.feedback
+    };
+    if (body.marks_awarded !== undefined) grade.marks_awarded = body.marks_awarded;
+    else if (body.rubric_scores !== undefined) grade.rubric_scores = body.rubric_scores;
+    else if (proposal.rubric_scores) grade.rubric_scores = proposal.rubric_scores;
+    else grade.marks_awarded = proposal.marks_awarded;
+
+    // The grade only counts once it goes through the normal teacher evaluation
+    const evaluation = await answersController.evaluateAnswer({
+      ...event,
+      pathParameters: { answerId: proposal.answer_id },
+      body: JSON.stringify(grade)
+    }, { evaluatedBy: reviewerId });
+    if (evaluation.statusCode !== 200) return evaluation;
+
+    const answer = JSON.parse(evaluation.body).data;
+    const reviewed = await service.markReviewed(
+      proposal,
+      edited ? service.PROPOSAL_STATUS.EDITED : service.PROPOSAL_STATUS.ACCEPTED,
+      reviewerId,
+      { final_marks: answer.marks_awarded }
+    );
+
+    return createResponse(200, {
+      success: true,
+      message: edited ? 'Proposal edited and answer evaluated' : 'Proposal accepted and answer evaluated',
+      data: { proposal: reviewed, answer }
+    });
+  } catch (error) {
+    console.error('AcceptProposal Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to accept proposal', error: error.message });
+  }
+}
+
+// 4. Reject Proposal (the answer stays pending for manual grading)
+async function rejectProposal(event) {
+  try {
+    const proposalId = event.pathParameters?.proposalId;
+    if (!proposalId) return createResponse(400, { success: false, message: 'proposalId is required' });
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    const reviewerId = event.user?.userId;
+    if (!reviewerId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const proposal = await service.getProposal(proposalId);
+    if (!proposal) return createResponse(404, { success: false, message: 'Proposal not found' });
+
+    const reviewed = await service.markReviewed(proposal, service.PROPOSAL_STATUS.REJECTED, reviewerId, {
+      review_note: body.reason || null
+    });
+    if (!reviewed) return createResponse(409, { success: false, message: `Proposal is ${proposal.status}` });
+
+    return createResponse(200, { success: true, message: 'Proposal rejected', data: reviewed });
+  } catch (error) {
+    console.error('RejectProposal Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to reject proposal', error: error.message });
+  }
+}
+
+// 5. Get Proposal Job (status and, once finished, its summary)
+async function getJob(event) {
+  try {
+    const jobId = event.pathParameters?.jobId;
+    if (!jobId) return createResponse(400, { success: false, message: 'jobId is required' });
+
+    const job = await service.getJob(jobId);
+    if (!job) return createResponse(404, { success: false, message: 'Job not found' });
+
+    return createResponse(200, { success: true, data: job });
+  } catch (error) {
+    console.error('GetJob Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get grading job', error: error.message });
+  }
+}
+
+module.exports = {
+  generateProposals,
+  getReviewQueue,
+  acceptProposal,
+  rejectProposal,
+  getJob
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const aiGradingController = require('./controller');
+const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// AI Grading Review Queue Routes
+router.post('/exams/:examId/proposals', requirePermission('canGradeAssignments'), handler(aiGradingController.generateProposals));
+router.get('/jobs/:jobId', requirePermission('canGradeAssignments'), handler(aiGradingController.getJob));
+router.get('/exams/:examId/proposals', requirePermission('canGradeAssignments'), handler(aiGradingController.getReviewQueue));
+router.post('/proposals/:proposalId/accept', requirePermission('canGradeAssignments'), handler(aiGradingController.acceptProposal));
+router.post('/proposals/:proposalId/reject', requirePermission('canGradeAssignments'), handler(aiGradingController.rejectProposal));
+
+module.exports = router;
@@ -0,0 +1,331 @@
+// Business Logic for AI Grading Proposals and the Teacher Review Queue
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const answersService = require('../answers/service');
+const { RUBRIC_TYPES } = require('../questions/rubric');
+const { getGradingProvider } = require('../claude-ai/grading-provider');
+const { isDoubleMarked } = require('../blind-grading/service');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  PROPOSALS: process.env.GRADING_PROPOSALS_TABLE || 'TestGradingProposals',
+  JOBS: process.env.GRADING_JOBS_TABLE || 'TestGradingJobs'
+};
+
+const PROPOSAL_STATUS = {
+  PENDING_REVIEW: 'pending_review',
+  ACCEPTED: 'accepted',
+  EDITED: 'edited',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Written answers the model may propose grades for
+const AI_GRADED_TYPES = RUBRIC_TYPES;
+
+// Provider calls in flight at once while a job runs
+const PROPOSAL_CONCURRENCY = Number(process.env.AI_GRADING_CONCURRENCY) || 4;
+
+// A running job not finished after this long was cut off with its worker and is picked up again
+const JOB_STALE_MS = 15 * 60 * 1000;
+
+const queryAll = async (params) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// ============ PROPOSALS ============
+const getProposal = async (proposalId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.PROPOSALS, Key: { proposal_id: proposalId } }).promise();
+  return result.Item || null;
+};
+
+const getExamProposals = async (examId) => {
+  return queryAll({
+    TableName: TABLES.PROPOSALS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+/**
+ * Ask the provider for a grade and check it the same way a teacher's grade is checked
+ * Provider errors and out-of-range grades are kept as failed proposals so teachers can see them
+ * @returns {Object} The stored proposal
+ */
+const proposeGrade = async (answer, entry, provider) => {
+  const now = new Date().toISOString();
+  const maxMarks = Number(entry.marks) || 0;
+  const item = {
+    proposal_id: uuidv4(),
+    exam_id: answer.exam_id,
+    answer_id: answer.answer_id,
+    attempt_id: answer.attempt_id || null,
+    question_id: answer.question_id,
+    user_id: answer.user_id,
+    provider: provider.name,
+    model: provider.model,
+    marks_awarded: null,
+    is_correct: null,
+    rubric_scores: null,
+    rubric_evaluation: null,
+    feedback: null,
+    confidence: null,
+    error: null,
+    status: PROPOSAL_STATUS.PENDING_REVIEW,
+    created_at: now,
+    updated_at: now
+  };
+
+  try {
+    const proposal = await provider.propose({ question: entry.question, answerText: answer.answer_text, maxMarks });
+    const usesRubric = Boolean(entry.question.rubric);
+    const grade = await answersService.resolveManualGrade(answer, {
+      marks_awarded: usesRubric ? undefined : proposal.marks_awarded,
+      rubric_scores: usesRubric ? proposal.rubric_scores : undefined,
+      is_correct: typeof proposal.is_correct === 'boolean'
+        ? proposal.is_correct
+        : (usesRubric ? undefined : proposal.marks_awarded === maxMarks)
+    });
+
+    if (grade.error) {
+      item.status = PROPOSAL_STATUS.FAILED;
+      item.error = grade.error;
+    } else {
+      item.marks_awarded = grade.marks_awarded;
+      item.is_correct = grade.is_correct;
+      item.rubric_scores = usesRubric ? proposal.rubric_scores : null;
+      item.rubric_evaluation = grade.rubric_evaluation;
+    }
+    item.feedback = typeof proposal.feedback === 'string' ? proposal.feedback : null;
+    item.confidence = typeof proposal.confidence === 'number' ? proposal.confidence : null;
+  } catch (error) {
+    console.error(`AI grading failed for answer ${answer.answer_id}:`, error);
+    item.status = PROPOSAL_STATUS.FAILED;
+    item.error = error.message;
+  }
+
+  await dynamoDB.put({ TableName: TABLES.PROPOSALS, Item: item }).promise();
+  return item;
+};
+
+/**
+ * Propose grades for an exam's pending short and descriptive answers from closed attempts
+ * Answers that already have a proposal awaiting review are skipped, so a re-run only picks up what is left
+ * Runs from the AI grading worker, never inside an API request
+ * @param {string} examId - Exam to grade
+ * @param {Object} options - { questionId } to limit the run to one question
+ * @returns {Object} { proposed, failed, skipped, proposal_ids }
+ */
+const proposeExamGrades = async (examId, { questionId = null } = {}) => {
+  const provider = getGradingProvider();
+  const [exam, answers, attempts, existing] = await Promise.all([
+    answersService.getExam(examId),
+    answersService.getExamAnswers(examId),
+    answersService.getExamAttempts(examId),
+    getExamProposals(examId)
+  ]);
+
+  const refreshedAttempts = await Promise.all(attempts.map(a => answersService.refreshAttempt(a)));
+  const closedAttempts = new Map(refreshedAttempts.filter(a => !answersService.isAttemptOpen(a)).map(a => [a.attempt_id, a]));
+  const awaitingReview = new Set(existing
+    .filter(p => p.status === PROPOSAL_STATUS.PENDING_REVIEW)
+    .map(p => p.answer_id));
+
+  const entriesByAttempt = new Map();
+  const getEntries = async (attempt) => {
+    if (!entriesByAttempt.has(attempt.attempt_id)) {
+      const questionSet = await answersService.getAttemptQuestionSet(attempt);
+      entriesByAttempt.set(attempt.attempt_id, new Map(questionSet.map(entry => [entry.question_id, entry])));
+    }
+    return entriesByAttempt.get(attempt.attempt_id);
+  };
+
+  const summary = { proposed: 0, failed: 0, skipped: 0, proposal_ids: [] };
+  const queue = [];
+
+  for (const answer of answers.filter(a => a.status === 'pending')) {
+    if (questionId && answer.question_id !== questionId) continue;
+    const attempt = closedAttempts.get(answer.attempt_id);
+    const entry = attempt ? (await getEntries(attempt)).get(answer.question_id) : null;
+    // Double-marked answers are left to the blind graders
+    if (!entry || !AI_GRADED_TYPES.includes(entry.question.type) || awaitingReview.has(answer.answer_id)
+      || isDoubleMarked(exam, entry)) {
+      summary.skipped++;
+      continue;
+    }
+    queue.push({ answer, entry });
+  }
+
+  // A few workers share the queue so a class's worth of answers is not graded one call at a time
+  const work = async () => {
+    while (queue.length > 0) {
+      const { answer, entry } = queue.shift();
+      const proposal = await proposeGrade(answer, entry, provider);
+      if (proposal.status === PROPOSAL_STATUS.FAILED) summary.failed++;
+      else summary.proposed++;
+      summary.proposal_ids.push(proposal.proposal_id);
+    }
+  };
+  await Promise.all(Array.from({ length: PROPOSAL_CONCURRENCY }, work));
+
+  return summary;
+};
+
+// ============ JOBS ============
+const createJob = async (examId, { questionId = null, requestedBy = null } = {}) => {
+  const now = new Date().toISOString();
+  const item = {
+    job_id: uuidv4(),
+    exam_id: examId,
+    question_id: questionId,
+    requested_by: requestedBy,
+    status: JOB_STATUS.QUEUED,
+    summary: null,
+    error: null,
+    started_at: null,
+    finished_at: null,
+    created_at: now,
+    updated_at: now
+  };
+  await dynamoDB.put({ TableName: TABLES.JOBS, Item: item }).promise();
+  return item;
+};
+
+const getJob = async (jobId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.JOBS, Key: { job_id: jobId } }).promise();
+  return result.Item || null;
+};
+
+// Queued jobs, plus running ones whose worker stopped before finishing
+const getRunnableJobs = async (now = new Date()) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.scan({
+      TableName: TABLES.JOBS,
+      FilterExpression: '#status = :queued OR (#status = :running AND started_at < :staleBefore)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':queued': JOB_STATUS.QUEUED,
+        ':running': JOB_STATUS.RUNNING,
+        ':staleBefore': new Date(now.getTime() - JOB_STALE_MS).toISOString()
+      },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items.sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+/**
+ * Take a job for this worker; only one worker wins when two runs overlap
+ * @returns {Object|null} The running job, or null when another worker has it
+ */
+const claimJob = async (job, now = new Date()) => {
+  const stale = job.status === JOB_STATUS.RUNNING;
+  const values = { ':running': JOB_STATUS.RUNNING, ':current': job.status, ':now': now.toISOString() };
+  if (stale) values[':startedAt'] = job.started_at;
+
+  try {
+    const result = await dynamoDB.update({
+      TableName: TABLES.JOBS,
+      Key: { job_id: job.job_id },
+      UpdateExpression: 'SET #status = :running, started_at = :now, updated_at = :now',
+      ConditionExpression: stale ? '#status = :current AND started_at = :startedAt' : '#status = :current',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+};
+
+const finishJob = async (job, status, { summary = null, error = null } = {}) => {
+  const now = new Date().toISOString();
+  const result = await dynamoDB.update({
+    TableName: TABLES.JOBS,
+    Key: { job_id: job.job_id },
+    UpdateExpression: 'SET #status = :status, summary = :summary, #error = :error, finished_at = :now, updated_at = :now',
+    ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+    ExpressionAttributeValues: { ':status': status, ':summary': summary, ':error': error, ':now': now },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+// Run one claimed job to completion, recording the outcome on the job
+const runJob = async (job) => {
+  try {
+    const summary = await proposeExamGrades(job.exam_id, { questionId: job.question_id });
+    return finishJob(job, JOB_STATUS.COMPLETED, { summary });
+  } catch (error) {
+    console.error(`AI grading job ${job.job_id} failed:`, error);
+    return finishJob(job, JOB_STATUS.FAILED, { error: error.message });
+  }
+};
+
+// ============ REVIEW ============
+/**
+ * Close a proposal once a teacher has dealt with it
+ * @returns {Object|null} Updated proposal, or null when it was already reviewed
+ */
+const markReviewed = async (proposal, status, reviewerId, extra = {}) => {
+  const now = new Date().toISOString();
+  const values = { ':status': status, ':reviewer': reviewerId, ':now': now, ':pending': PROPOSAL_STATUS.PENDING_REVIEW };
+  let updateExpression = 'SET #status = :status, reviewed_by = :reviewer, reviewed_at = :now, updated_at = :now';
+  Object.keys(extra).forEach(key => {
+    updateExpression += `, ${key} = :${key}`;
+    values[`:${key}`] = extra[key];
+  });
+
+  try {
+    const result = await dynamoDB.update({
+      TableName: TABLES.PROPOSALS,
+      Key: { proposal_id: proposal.proposal_id },
+      UpdateExpression: updateExpression,
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+};
+
+module.exports = {
+  PROPOSAL_STATUS,
+  JOB_STATUS,
+  getProposal,
+  getExamProposals,
+  proposeExamGrades,
+  createJob,
+  getJob,
+  getRunnableJobs,
+  claimJob,
+  runJob,
+  markReviewed
+};
@@ -0,0 +1,37 @@
+// AI Grading Worker
+// Lambda entry point (see the aiGradingWorker function in serverless.yml); run locally with `npm run ai-grading-worker`
+
+require('dotenv').config();
+const service = require('./service');
+
+/**
+ * Run every queued AI grading job, and any whose earlier worker stopped part way
+ * @returns {Object} { checked, completed, failed }
+ */
+const handler = async () => {
+  const jobs = await service.getRunnableJobs();
+  const summary = { checked: jobs.length, completed: [], failed: [] };
+
+  for (const job of jobs) {
+    const claimed = await service.claimJob(job);
+    if (!claimed) continue;
+
+    const finished = await service.runJob(claimed);
+    if (finished.status === service.JOB_STATUS.COMPLETED) summary.completed.push(finished.job_id);
+    else summary.failed.push({ job_id: finished.job_id, error: finished.error });
+  }
+
+  console.log('AiGradingWorker run:', JSON.stringify(summary));
+  return summary;
+};
+
+module.exports = { handler };
+
+if (require.main === module) {
+  handler()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('AiGradingWorker Error:', error);
+      process.exit(1);
+    });
+}
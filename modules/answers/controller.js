@@ -1,5 +1,14 @@
 const AWS = require('aws-sdk');
-const { v4: uuidv4 } = require('uuid');
+const service = require('./service');
+const { computeSuspicion, validateEvents } = require('./proctoring');
+const resultsService = require('../results/service');
+const { getNextAttemptError, resolveAttemptPolicy } = require('../exams/attempt-policy');
+const accommodationsService = require('../exam-accommodations/service');
+const release = require('../exams/result-release');
+const { hasPermission } = require('../roles/permissions');
+const { canAccessStudent } = require('../../middleware/ownershipMiddleware');
+const offlineImport = require('./offline-import');
+const blindGradingService = require('../blind-grading/service');
 
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 
@@ -16,17 +25,66 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// 1. Start Exam (initialize answer session)
-// Typically this might create a record or mark exam status per user - simplified here
+// Total seconds the student spent on the question, as reported by the exam client
+const isValidTimeSpent = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+// Students always act as themselves: the id comes from the token, and a client-sent id must match it
+const resolveStudentId = (event, claimedId) => {
+  const userId = event.user?.userId;
+  if (!userId) return { error: createResponse(401, { success: false, message: 'Authentication required' }) };
+  if (claimedId && claimedId !== userId) {
+    return { error: createResponse(403, { success: false, message: 'You can only take exams as yourself' }) };
+  }
+  return { userId };
+};
+
+// Only the student who owns the attempt, or staff who grade, may read or change it
+const canAccessAttempt = (user, attempt) => !!user
+  && (attempt.user_id === user.userId || hasPermission(user.role, user.permissions || [], ['canGradeAssignments']));
+
+// 1. Start Exam (create or resume the user's attempt)
 async function startExam(event) {
   try {
     const examId = event.pathParameters?.examId;
-    const userId = event.queryStringParameters?.userId;
-    if (!examId || !userId) return createResponse(400, { success: false, message: 'examId and userId are required' });
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { userId, error } = resolveStudentId(event, event.queryStringParameters?.userId);
+    if (error) return error;
+
+    const exam = await service.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    // Resume an attempt that is still running
+    const openAttempt = await service.getOpenAttempt(examId, userId);
+    if (openAttempt) return createResponse(200, { success: true, message: 'Exam attempt resumed', data: openAttempt });
+
+    // The student's own window and duration when they have an accommodation
+    const sitting = accommodationsService.applyAccommodation(exam, await accommodationsService.getActiveAccommodation(examId, userId));
+
+    const windowError = service.getExamWindowError(sitting);
+    if (windowError) return createResponse(403, { success: false, message: windowError });
+
+    const attempts = await service.getUserAttempts(examId, userId);
+    const attemptError = getNextAttemptError(resolveAttemptPolicy(exam), attempts);
+    if (attemptError) {
+      const statusCode = attemptError.available_at ? 429 : 409;
+      return createResponse(statusCode, {
+        success: false,
+        message: attemptError.message,
+        available_at: attemptError.available_at,
+        data: attempts[attempts.length - 1]
+      });
+    }
+
+    const attempt = await service.createAttempt(sitting, userId, attempts.length + 1);
+    if (attempt.error) return createResponse(409, { success: false, message: attempt.error, data: { shortfalls: attempt.shortfalls } });
+    // Another request started this attempt first: resume it rather than using up a second attempt
+    if (attempt.duplicate) {
+      const duplicate = await service.refreshAttempt(attempt.duplicate);
+      if (!service.isAttemptOpen(duplicate)) return createResponse(409, { success: false, message: 'Exam attempt was just closed; try starting again' });
+      return createResponse(200, { success: true, message: 'Exam attempt resumed', data: duplicate });
+    }
 
-    // For example, create a placeholder record or return exam questions for user start
-    // Here just acknowledge start
-    return createResponse(200, { success: true, message: 'Exam attempt started' });
+    return createResponse(201, { success: true, message: 'Exam attempt started', data: attempt });
   } catch (error) {
     console.error('StartExam Error:', error);
     return createResponse(500, { success: false, message: 'Failed to start exam', error: error.message });
@@ -41,41 +99,60 @@ async function submitAnswer(event) {
     if (!examId || !questionId) return createResponse(400, { success: false, message: 'examId and questionId are required' });
     if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
 
+    const body = JSON.parse(event.body);
     const {
-      user_id,
       course_id = null,
       answer_text,
-      is_correct = null,
-      marks_awarded = null,
-      evaluated_by = null,
-      evaluated_at = null,
-      status = 'pending'
-    } = JSON.parse(event.body);
-
-    if (!user_id || answer_text === undefined) return createResponse(400, { success: false, message: 'user_id and answer_text are required' });
+      time_spent_seconds = null
+    } = body;
+
+    const { userId: user_id, error } = resolveStudentId(event, body.user_id);
+    if (error) return error;
+    if (answer_text === undefined) return createResponse(400, { success: false, message: 'answer_text is required' });
+    if (!isValidTimeSpent(time_spent_seconds)) return createResponse(400, { success: false, message: 'time_spent_seconds must be a non-negative number' });
+
+    const attempt = await service.getOpenAttempt(examId, user_id);
+    if (!attempt) return createResponse(403, { success: false, message: 'No open exam attempt; start the exam first or the attempt has closed' });
+    if (attempt.question_order && !attempt.question_order.includes(questionId)) {
+      return createResponse(400, { success: false, message: 'Question is not part of this exam attempt' });
+    }
 
     const now = new Date().toISOString();
-    const answerId = uuidv4();
-
-    const item = {
-      answer_id: answerId,
+    const fields = {
       question_id: questionId,
       exam_id: examId,
+      attempt_id: attempt.attempt_id,
+      display_no: attempt.question_order ? attempt.question_order.indexOf(questionId) + 1 : null,
       user_id,
       course_id,
       answer_text,
-      is_correct,
-      marks_awarded,
-      evaluated_by,
-      evaluated_at,
-      status,
-      created_at: now,
+      time_spent_seconds,
+      is_correct: null,
+      marks_awarded: null,
+      evaluated_by: null,
+      evaluated_at: null,
+      status: 'pending',
       updated_at: now
     };
 
-    await dynamoDB.put({ TableName: ANSWERS_TABLE, Item: item }).promise();
+    // Answering the same question again in the attempt replaces the earlier answer instead of adding a row
+    const expressionAttributeNames = { '#created_at': 'created_at' };
+    const expressionAttributeValues = { ':now': now };
+    const sets = Object.keys(fields).map(key => {
+      expressionAttributeNames[`#${key}`] = key;
+      expressionAttributeValues[`:${key}`] = fields[key];
+      return `#${key} = :${key}`;
+    });
+    const result = await dynamoDB.update({
+      TableName: ANSWERS_TABLE,
+      Key: { answer_id: service.buildAnswerId(attempt.attempt_id, questionId) },
+      UpdateExpression: `SET ${sets.join(', ')}, #created_at = if_not_exists(#created_at, :now)`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
 
-    return createResponse(201, { success: true, message: 'Answer submitted', data: item });
+    return createResponse(201, { success: true, message: 'Answer submitted', data: result.Attributes });
 
   } catch (error) {
     console.error('SubmitAnswer Error:', error);
@@ -102,8 +179,29 @@ async function getUserAnswers(event) {
     };
 
     const result = await dynamoDB.query(params).promise();
+    if (release.isEmbargoExempt(event.user)) {
+      return createResponse(200, { success: true, data: result.Items, count: result.Items.length });
+    }
 
-    return createResponse(200, { success: true, data: result.Items, count: result.Items.length });
+    // Students and parents see grading and keys only as far as the exam's result release allows
+    const exam = await service.getExam(examId);
+    let data = result.Items.map(answer => release.filterAnswer(exam, answer));
+    const { visibility } = release.resolveResultRelease(exam);
+    if (release.isResultReleased(exam) && (visibility.correct_answers || visibility.explanations)) {
+      const keys = await service.getAnswerKeys(data.map(answer => answer.question_id));
+      data = data.map(answer => {
+        const key = keys.get(answer.question_id);
+        if (!key) return answer;
+        const { explanation, ...answerKey } = key;
+        return {
+          ...answer,
+          ...(visibility.correct_answers ? { answer_key: answerKey } : {}),
+          ...(visibility.explanations ? { explanation } : {})
+        };
+      });
+    }
+
+    return createResponse(200, { success: true, data, count: data.length });
   } catch (error) {
     console.error('GetUserAnswers Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get user answers', error: error.message });
@@ -119,7 +217,24 @@ async function updateAnswer(event) {
 
     const updates = JSON.parse(event.body);
 
-    const allowedFields = ['answer_text', 'status'];
+    const answer = await service.getAnswer(answerId);
+    if (!answer) return createResponse(404, { success: false, message: 'Answer not found' });
+
+    const attempt = answer.attempt_id ? await service.getAttempt(answer.attempt_id) : null;
+    if (!canAccessAttempt(event.user, attempt || answer)) {
+      return createResponse(403, { success: false, message: 'Answer belongs to another user' });
+    }
+    const current = attempt ? await service.refreshAttempt(attempt) : null;
+    if (!service.isAttemptOpen(current)) {
+      return createResponse(403, { success: false, message: 'Answers can only be changed while the exam attempt is open' });
+    }
+
+    if (updates.time_spent_seconds !== undefined && !isValidTimeSpent(updates.time_spent_seconds)) {
+      return createResponse(400, { success: false, message: 'time_spent_seconds must be a non-negative number' });
+    }
+
+    // Grading fields are owned by evaluation, so students may only change their response (and the time it took)
+    const allowedFields = ['answer_text', 'time_spent_seconds'];
 
     let updateExpression = 'SET updated_at = :updated_at';
     const expressionAttributeNames = {};
@@ -156,36 +271,42 @@ async function updateAnswer(event) {
   }
 }
 
-// 5. Evaluate Answer (Teacher marks and evaluates)
-async function evaluateAnswer(event) {
+// 5. Evaluate Answer (Teacher marks directly or scores the question's rubric)
+// The grader is the authenticated user; blind grading, AI review and re-evaluation pass theirs as evaluatedBy.
+// The route only ever passes the event, so neither the grader nor the blind-grading bypass can come from the client
+async function evaluateAnswer(event, { evaluatedBy, blindGrading = false } = {}) {
   try {
     const answerId = event.pathParameters?.answerId;
     if (!answerId) return createResponse(400, { success: false, message: 'answerId is required' });
     if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
 
-    const { marks_awarded, is_correct, evaluated_by } = JSON.parse(event.body);
-    if (marks_awarded === undefined || is_correct === undefined || !evaluated_by) {
-      return createResponse(400, { success: false, message: 'marks_awarded, is_correct and evaluated_by are required' });
+    const graderId = evaluatedBy || event.user?.userId;
+    if (!graderId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const { marks_awarded, is_correct, rubric_scores, feedback } = JSON.parse(event.body);
+
+    const answer = await service.getAnswer(answerId);
+    if (!answer) return createResponse(404, { success: false, message: 'Answer not found' });
+
+    // Double-blind answers are marked by two graders (and a moderator) through blind grading
+    if (!blindGrading) {
+      const [exam, entry] = await Promise.all([service.getExam(answer.exam_id), service.getAnswerEntry(answer)]);
+      if (blindGradingService.isDoubleMarked(exam, entry)) {
+        return createResponse(409, { success: false, message: 'This answer is double-marked; grade it through blind grading' });
+      }
     }
 
-    const params = {
-      TableName: ANSWERS_TABLE,
-      Key: { answer_id: answerId },
-      UpdateExpression: 'SET marks_awarded = :marks, is_correct = :correct, evaluated_by = :evalBy, evaluated_at = :evalAt, status = :status, updated_at = :updatedAt',
-      ExpressionAttributeValues: {
-        ':marks': marks_awarded,
-        ':correct': is_correct,
-        ':evalBy': evaluated_by,
-        ':evalAt': new Date().toISOString(),
-        ':status': 'evaluated',
-        ':updatedAt': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
+    const grade = await service.resolveManualGrade(answer, { marks_awarded, is_correct, rubric_scores });
+    if (grade.error) return createResponse(400, { success: false, message: grade.error });
 
-    const result = await dynamoDB.update(params).promise();
+    const updated = await service.saveManualGrade(answer, { ...grade, feedback }, graderId);
 
-    return createResponse(200, { success: true, message: 'Answer evaluated', data: result.Attributes });
+    // Keep the attempt's result in step with teacher grading
+    if (updated.attempt_id) {
+      await resultsService.refreshAttemptResults([updated.attempt_id]);
+    }
+
+    return createResponse(200, { success: true, message: 'Answer evaluated', data: updated });
 
   } catch (error) {
     console.error('EvaluateAnswer Error:', error);
@@ -207,9 +328,23 @@ async function getAllExamAnswers(event) {
       ExpressionAttributeValues: { ':examId': examId }
     };
 
-    const result = await dynamoDB.query(params).promise();
+    const [result, proctoringEvents] = await Promise.all([
+      dynamoDB.query(params).promise(),
+      service.getExamProctoringEvents(examId)
+    ]);
 
-    return createResponse(200, { success: true, data: result.Items, count: result.Items.length });
+    // Integrity summary per attempt, shown alongside the answers
+    const eventsByAttempt = {};
+    proctoringEvents.forEach(item => {
+      if (!eventsByAttempt[item.attempt_id]) eventsByAttempt[item.attempt_id] = [];
+      eventsByAttempt[item.attempt_id].push(item);
+    });
+    const proctoring = {};
+    Object.entries(eventsByAttempt).forEach(([attemptId, events]) => {
+      proctoring[attemptId] = { user_id: events[0].user_id, ...computeSuspicion(events) };
+    });
+
+    return createResponse(200, { success: true, data: result.Items, count: result.Items.length, proctoring });
   } catch (error) {
     console.error('GetAllExamAnswers Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get exam answers', error: error.message });
@@ -231,19 +366,23 @@ async function deleteAnswer(event) {
   }
 }
 
-// 8. Auto Evaluate Objective (example for MCQ, True/False)
+// 8. Auto Evaluate Objective answers (MCQ, True/False, Short)
 async function autoEvaluate(event) {
   try {
     const examId = event.pathParameters?.examId;
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
 
-    // Fetch all pending answers for exam
-    // Simplified auto-eval: compare submitted answer_text with correct_answer of question
+    const exam = await service.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
 
-    // Assume fetching answers and questions is done here; this is a schematic outline
+    const summary = await service.evaluateObjectiveAnswers(examId);
+    const results = await resultsService.refreshAttemptResults(summary.attempt_ids);
 
-    // Return success with count updated
-    return createResponse(200, { success: true, message: 'Auto evaluation completed' });
+    return createResponse(200, {
+      success: true,
+      message: 'Auto evaluation completed',
+      data: { ...summary, results_generated: results.length }
+    });
 
   } catch (error) {
     console.error('AutoEvaluate Error:', error);
@@ -255,19 +394,184 @@ async function autoEvaluate(event) {
 async function submitExam(event) {
   try {
     const examId = event.pathParameters?.examId;
-    const userId = event.queryStringParameters?.userId;
-    if (!examId || !userId) return createResponse(400, { success: false, message: 'examId and userId are required' });
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { userId, error } = resolveStudentId(event, event.queryStringParameters?.userId);
+    if (error) return error;
+
+    const attempts = await service.getUserAttempts(examId, userId);
+    const current = attempts.find(a => a.status === service.ATTEMPT_STATUS.IN_PROGRESS);
+    if (!current) return createResponse(404, { success: false, message: 'No exam attempt in progress' });
+
+    const refreshed = await service.refreshAttempt(current);
+    if (refreshed.status === service.ATTEMPT_STATUS.EXPIRED) {
+      return createResponse(409, { success: false, message: 'Exam attempt expired at its deadline', data: refreshed });
+    }
+
+    const attempt = await service.closeAttempt(refreshed, service.ATTEMPT_STATUS.SUBMITTED);
 
-    // Mark exam attempt as submitted for user, etc.
-    // Implementation depends on your exam attempt tracking model.
+    // Objective answers are graded and the result built now, as closing the exam does for every attempt
+    await service.evaluateObjectiveAnswers(examId, { attempt });
+    await resultsService.generateAttemptResult(attempt);
 
-    return createResponse(200, { success: true, message: 'Exam submitted successfully' });
+    return createResponse(200, { success: true, message: 'Exam submitted successfully', data: attempt });
   } catch (error) {
     console.error('SubmitExam Error:', error);
     return createResponse(500, { success: false, message: 'Failed to submit exam', error: error.message });
   }
 }
 
+// 10. Get Exam Attempts (optionally for one user)
+async function getExamAttempts(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const userId = event.queryStringParameters?.userId;
+
+    const attempts = userId
+      ? await service.getUserAttempts(examId, userId)
+      : await service.getExamAttempts(examId);
+    const refreshed = await Promise.all(attempts.map(a => service.refreshAttempt(a)));
+
+    return createResponse(200, { success: true, data: refreshed, count: refreshed.length });
+  } catch (error) {
+    console.error('GetExamAttempts Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get exam attempts', error: error.message });
+  }
+}
+
+// 11. Get Attempt Paper (questions and options in this attempt's order)
+async function getAttemptPaper(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const attemptId = event.pathParameters?.attemptId;
+    if (!examId || !attemptId) return createResponse(400, { success: false, message: 'examId and attemptId are required' });
+
+    const attempt = await service.getAttempt(attemptId);
+    if (!attempt || attempt.exam_id !== examId) return createResponse(404, { success: false, message: 'Exam attempt not found' });
+    if (!canAccessAttempt(event.user, attempt)) return createResponse(403, { success: false, message: 'Attempt belongs to another user' });
+
+    const questionSet = await service.getAttemptQuestionSet(attempt);
+    const paper = service.buildAttemptPaper(attempt, questionSet);
+
+    return createResponse(200, {
+      success: true,
+      data: {
+        attempt_id: attempt.attempt_id,
+        status: attempt.status,
+        deadline: attempt.deadline,
+        questions: paper
+      },
+      count: paper.length
+    });
+  } catch (error) {
+    console.error('GetAttemptPaper Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get attempt paper', error: error.message });
+  }
+}
+
+// 12. Record Proctoring Events (reported by the exam client during an attempt)
+async function recordProctoringEvents(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const attemptId = event.pathParameters?.attemptId;
+    if (!examId || !attemptId) return createResponse(400, { success: false, message: 'examId and attemptId are required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const body = JSON.parse(event.body);
+    const events = Array.isArray(body.events) ? body.events : [body];
+    const validationError = validateEvents(events);
+    if (validationError) return createResponse(400, { success: false, message: validationError });
+
+    const attempt = await service.getAttempt(attemptId);
+    if (!attempt || attempt.exam_id !== examId) return createResponse(404, { success: false, message: 'Exam attempt not found' });
+    if (event.user && attempt.user_id !== event.user.userId) {
+      return createResponse(403, { success: false, message: 'Attempt belongs to another user' });
+    }
+
+    const current = await service.refreshAttempt(attempt);
+    if (!service.isAttemptOpen(current)) return createResponse(409, { success: false, message: 'Attempt is no longer in progress' });
+
+    const stored = await service.recordProctoringEvents(current, events);
+
+    return createResponse(201, { success: true, message: 'Proctoring events recorded', data: stored, count: stored.length });
+  } catch (error) {
+    console.error('RecordProctoringEvents Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to record proctoring events', error: error.message });
+  }
+}
+
+// 13. Get Proctoring Report for an Attempt (events and suspicion score)
+async function getProctoringReport(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const attemptId = event.pathParameters?.attemptId;
+    if (!examId || !attemptId) return createResponse(400, { success: false, message: 'examId and attemptId are required' });
+
+    const attempt = await service.getAttempt(attemptId);
+    if (!attempt || attempt.exam_id !== examId) return createResponse(404, { success: false, message: 'Exam attempt not found' });
+    // Teachers only see the logs of students enrolled in a course they instruct, as with requireOwnership
+    if (!(await canAccessStudent(event.user, attempt.user_id))) {
+      return createResponse(403, { success: false, message: 'You do not have access to this student\'s records' });
+    }
+
+    const events = await service.getAttemptProctoringEvents(attemptId);
+
+    return createResponse(200, {
+      success: true,
+      data: {
+        attempt_id: attempt.attempt_id,
+        user_id: attempt.user_id,
+        status: attempt.status,
+        last_heartbeat_at: attempt.last_heartbeat_at || null,
+        ...computeSuspicion(events),
+        events
+      }
+    });
+  } catch (error) {
+    console.error('GetProctoringReport Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get proctoring report', error: error.message });
+  }
+}
+
+// 14. Import Offline Scores (CSV of OMR responses or per-question marks from a paper test; dry_run to validate only)
+async function importOfflineScores(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const { csv, mode = offlineImport.IMPORT_MODES.RESPONSES, dry_run = false, imported_by, import_id } = JSON.parse(event.body);
+    if (typeof csv !== 'string' || csv.trim() === '') return createResponse(400, { success: false, message: 'csv is required' });
+    if (import_id !== undefined && (typeof import_id !== 'string' || import_id.trim() === '')) {
+      return createResponse(400, { success: false, message: 'import_id must be a non-empty string' });
+    }
+    const modes = Object.values(offlineImport.IMPORT_MODES);
+    if (!modes.includes(mode)) return createResponse(400, { success: false, message: `Invalid mode, must be one of: ${modes.join(', ')}` });
+
+    const exam = await service.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+    if (exam.status === 'archived') return createResponse(409, { success: false, message: 'Cannot import scores into an archived exam' });
+
+    const report = await offlineImport.importOfflineScores(exam, {
+      csv,
+      mode,
+      dry_run: !!dry_run,
+      imported_by: event.user?.userId || imported_by || null,
+      import_id
+    });
+    if (report.error) return createResponse(400, { success: false, message: report.error });
+
+    return createResponse(dry_run ? 200 : 201, {
+      success: true,
+      message: dry_run ? 'Import validated; nothing was saved' : 'Offline scores imported',
+      data: report
+    });
+  } catch (error) {
+    console.error('ImportOfflineScores Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to import offline scores', error: error.message });
+  }
+}
+
 module.exports = {
   startExam,
   submitAnswer,
@@ -277,5 +581,10 @@ module.exports = {
   getAllExamAnswers,
   deleteAnswer,
   autoEvaluate,
-  submitExam
+  submitExam,
+  getExamAttempts,
+  getAttemptPaper,
+  recordProctoringEvents,
+  getProctoringReport,
+  importOfflineScores
 };
@@ -0,0 +1,220 @@
+// Objective Answer Evaluation Rules
+
+const { DEFAULT_MARKING_SCHEME, getNegativeMarks } = require('../exams/marking-scheme');
+
+// Question types that can be graded without a teacher
+const OBJECTIVE_TYPES = ['mcq', 'mcq_multi', 'true_false', 'short', 'numeric', 'match', 'fill_blank'];
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+
+// Case, surrounding whitespace, repeated spaces and trailing punctuation do not change an answer
+const normalizeText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?;,]+$/, '');
+};
+
+const normalizeBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = normalizeText(value);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+const isBlank = (value) => {
+  if (Array.isArray(value)) return value.every(isBlank);
+  return normalizeText(value) === '';
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The option a student picked, matched by option_id first and then by its text
+const findSelectedOption = (options, answerText) => {
+  const byId = options.find(o => o.option_id === answerText);
+  if (byId) return byId;
+  const text = normalizeText(answerText);
+  return options.find(o => normalizeText(o.option_text) === text) || null;
+};
+
+// Multi-select answers arrive as an array, a JSON array string or a comma-separated list
+const parseSelection = (answerText) => {
+  if (Array.isArray(answerText)) return answerText;
+  const text = String(answerText).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON; treat it as a plain list
+    }
+  }
+  return text.split(',');
+};
+
+// Structured answers (match, fill_blank) may arrive as JSON strings
+const parseStructured = (answerText) => {
+  if (typeof answerText !== 'string') return answerText;
+  try {
+    return JSON.parse(answerText);
+  } catch (error) {
+    return answerText;
+  }
+};
+
+// Share of the parts answered correctly; all-or-nothing unless the scheme allows partial credit
+const partsCredit = (correctParts, totalParts, scheme) => {
+  if (totalParts === 0) return null;
+  if (correctParts === totalParts) return 1;
+  return scheme.partial_credit ? correctParts / totalParts : 0;
+};
+
+// Graders return the share of the question's marks earned (0 to 1), or null when a teacher must grade it
+
+const gradeMultiSelect = (entry, answerText, scheme) => {
+  const correctIds = new Set(entry.options.filter(o => o.is_correct === true).map(o => o.option_id));
+  if (correctIds.size === 0) return null;
+  const selected = parseSelection(answerText)
+    .filter(value => !isBlank(value))
+    .map(value => findSelectedOption(entry.options, typeof value === 'string' ? value.trim() : value));
+
+  // An unknown or wrong option makes the whole answer wrong
+  if (selected.some(option => !option || !correctIds.has(option.option_id))) return 0;
+
+  const selectedIds = new Set(selected.map(option => option.option_id));
+  if (selectedIds.size === correctIds.size) return 1;
+  return scheme.partial_credit ? selectedIds.size / correctIds.size : 0;
+};
+
+const gradeMcq = (entry, answerText, scheme) => {
+  const correctOptions = entry.options.filter(o => o.is_correct === true);
+  if (correctOptions.length === 0) {
+    // Questions without flagged options fall back to the stored answer text
+    if (isBlank(entry.question.correct_answer)) return null;
+    return normalizeText(entry.question.correct_answer) === normalizeText(answerText) ? 1 : 0;
+  }
+  if (correctOptions.length > 1) return gradeMultiSelect(entry, answerText, scheme);
+
+  const selected = findSelectedOption(entry.options, answerText);
+  return selected && selected.is_correct === true ? 1 : 0;
+};
+
+const gradeTrueFalse = (entry, answerText) => {
+  const expected = normalizeBoolean(entry.question.correct_answer);
+  if (expected === null) return null;
+  return normalizeBoolean(answerText) === expected ? 1 : 0;
+};
+
+const gradeShort = (entry, answerText) => {
+  const accepted = [].concat(entry.question.correct_answer || []).filter(a => !isBlank(a));
+  if (accepted.length === 0) return null;
+  const text = normalizeText(answerText);
+  return accepted.some(a => normalizeText(a) === text) ? 1 : 0;
+};
+
+const gradeNumeric = (entry, answerText) => {
+  const config = entry.question.answer_config;
+  if (!config) return null;
+  const value = Number(String(answerText).trim());
+  if (!Number.isFinite(value)) return 0;
+
+  if (config.value !== undefined) {
+    const tolerance = Number(config.tolerance) || 0;
+    return Math.abs(value - config.value) <= tolerance ? 1 : 0;
+  }
+  return value >= config.min && value <= config.max ? 1 : 0;
+};
+
+// Accepts { left: right } or [{ left, right }]
+const gradeMatch = (entry, answerText, scheme) => {
+  const config = entry.question.answer_config;
+  if (!config || !Array.isArray(config.pairs)) return null;
+
+  const parsed = parseStructured(answerText);
+  const submitted = new Map();
+  if (Array.isArray(parsed)) {
+    parsed.filter(pair => pair && typeof pair === 'object')
+      .forEach(pair => submitted.set(normalizeText(pair.left), normalizeText(pair.right)));
+  } else if (parsed && typeof parsed === 'object') {
+    Object.entries(parsed).forEach(([left, right]) => submitted.set(normalizeText(left), normalizeText(right)));
+  } else {
+    return 0;
+  }
+
+  const correctPairs = config.pairs
+    .filter(pair => submitted.get(normalizeText(pair.left)) === normalizeText(pair.right)).length;
+  return partsCredit(correctPairs, config.pairs.length, scheme);
+};
+
+// Accepts one string per blank, in order
+const gradeFillBlank = (entry, answerText, scheme) => {
+  const config = entry.question.answer_config;
+  if (!config || !Array.isArray(config.blanks)) return null;
+
+  const parsed = parseStructured(answerText);
+  const responses = Array.isArray(parsed) ? parsed : [parsed];
+
+  const correctBlanks = config.blanks.filter((blank, index) => {
+    const response = responses[index];
+    if (isBlank(response)) return false;
+    if (blank.case_sensitive) {
+      const text = String(response).trim().replace(/\s+/g, ' ');
+      return blank.accepted.some(accepted => accepted.trim().replace(/\s+/g, ' ') === text);
+    }
+    return blank.accepted.some(accepted => normalizeText(accepted) === normalizeText(response));
+  }).length;
+  return partsCredit(correctBlanks, config.blanks.length, scheme);
+};
+
+const GRADERS = {
+  mcq: gradeMcq,
+  mcq_multi: gradeMultiSelect,
+  true_false: gradeTrueFalse,
+  short: gradeShort,
+  numeric: gradeNumeric,
+  match: gradeMatch,
+  fill_blank: gradeFillBlank
+};
+
+/**
+ * Grade one answer against its exam question entry under the exam's marking scheme
+ * @param {Object} entry - Exam question set entry ({ question, options, marks, negative_marks })
+ * @param {*} answerText - The submitted answer_text
+ * @param {Object} scheme - Resolved marking scheme (see exams/marking-scheme)
+ * @returns {Object|null} { is_correct, marks_awarded }, or null when a teacher must grade it
+ */
+const gradeAnswer = (entry, answerText, scheme = DEFAULT_MARKING_SCHEME) => {
+  const grader = GRADERS[entry.question.type];
+  if (!grader) return null;
+
+  if (isBlank(answerText)) {
+    return { is_correct: null, marks_awarded: scheme.skipped_marks };
+  }
+
+  const credit = grader(entry, answerText, scheme);
+  if (credit === null) return null;
+
+  const marks = Number(entry.marks) || 0;
+  if (credit <= 0) {
+    return { is_correct: false, marks_awarded: -round2(getNegativeMarks(scheme, entry)) };
+  }
+
+  return {
+    is_correct: credit >= 1,
+    marks_awarded: round2(marks * Math.min(credit, 1))
+  };
+};
+
+module.exports = {
+  OBJECTIVE_TYPES,
+  normalizeText,
+  normalizeBoolean,
+  isBlank,
+  findSelectedOption,
+  parseSelection,
+  gradeAnswer
+};
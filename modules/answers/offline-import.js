@@ -0,0 +1,368 @@
+// Offline / OMR Score Import (paper tests into attempts, answers and results like online ones)
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const service = require('./service');
+const evaluator = require('./evaluator');
+const resultsService = require('../results/service');
+const examQuestionsService = require('../exam-questions/service');
+const { getNegativeMarks, resolveMarkingScheme } = require('../exams/marking-scheme');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  USERS: process.env.USERS_TABLE || 'TestUsers',
+  ENROLLMENTS: process.env.ENROLLMENTS_TABLE || 'TestEnrollments'
+};
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+
+const IMPORT_MODES = {
+  // One column per question holding the bubbled response (A-D, T/F, numbers, text), graded against the key
+  RESPONSES: 'responses',
+  // One column per question holding the marks a teacher already gave
+  MARKS: 'marks'
+};
+
+// Keeps one import (attempts, answers, grading and results) well inside the API's 30 second timeout
+const MAX_ROWS = 200;
+
+// Cells meaning the question was not attempted
+const NOT_ATTEMPTED = ['', '-'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============ CSV ============
+// Parse CSV text with quoted fields ("a, b", "say ""hi""") into rows of cells; blank lines are dropped
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+};
+
+/**
+ * Map the header to question set entries: `Q<n>` is the nth question of the printed paper, anything else a question_id
+ * @returns {Object} { error } or { userColumn, submittedAtColumn, questionColumns: [{ index, header, entry }] }
+ */
+const resolveColumns = (header, questionSet) => {
+  const lower = header.map(h => h.toLowerCase());
+  const userColumn = lower.indexOf('user_id');
+  if (userColumn === -1) return { error: 'The header must have a user_id column' };
+  const submittedAtColumn = lower.indexOf('submitted_at');
+
+  const entriesById = new Map(questionSet.map(entry => [entry.question_id, entry]));
+  const questionColumns = [];
+  const seen = new Set();
+
+  for (let index = 0; index < header.length; index++) {
+    if (index === userColumn || index === submittedAtColumn) continue;
+    const position = /^q(\d+)$/i.exec(header[index]);
+    const entry = position ? questionSet[Number(position[1]) - 1] : entriesById.get(header[index]);
+    if (!entry) return { error: `Column "${header[index]}" is not a question on this exam` };
+    if (seen.has(entry.question_id)) return { error: `Question in column "${header[index]}" appears more than once` };
+    seen.add(entry.question_id);
+    questionColumns.push({ index, header: header[index], entry });
+  }
+
+  if (questionColumns.length === 0) return { error: 'The header has no question columns' };
+  return { userColumn, submittedAtColumn, questionColumns };
+};
+
+// ============ STUDENTS ============
+const getUserIds = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const found = new Set();
+
+  for (let i = 0; i < ids.length; i += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [TABLES.USERS]: { Keys: ids.slice(i, i + BATCH_GET_LIMIT).map(id => ({ user_id: id })), ProjectionExpression: 'user_id' }
+    };
+    // Retry keys DynamoDB left unprocessed under throttling
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchGet({ RequestItems: requestItems }).promise();
+      (result.Responses[TABLES.USERS] || []).forEach(user => found.add(user.user_id));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+  return found;
+};
+
+// Students actively enrolled in the exam's course or in the exam itself
+const getEnrolledUserIds = async (exam) => {
+  const enrollments = [];
+  if (exam.course_id) {
+    enrollments.push(...await service.queryAll({
+      TableName: TABLES.ENROLLMENTS,
+      IndexName: 'courseId-enrollmentDate-index',
+      KeyConditionExpression: 'course_id = :courseId',
+      ExpressionAttributeValues: { ':courseId': exam.course_id }
+    }));
+  }
+
+  // Exam enrollments have no index on exam_id
+  let lastKey;
+  do {
+    const result = await dynamoDB.scan({
+      TableName: TABLES.ENROLLMENTS,
+      FilterExpression: 'exam_id = :examId',
+      ExpressionAttributeValues: { ':examId': exam.exam_id },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    enrollments.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return new Set(enrollments.filter(e => e.is_active).map(e => e.user_id));
+};
+
+// ============ CELLS ============
+/**
+ * Turn an OMR cell into the answer_text an online attempt would have sent:
+ * option letters (A, AC, A;C) become option ids in the printed order, anything else is kept as written
+ * @returns {Object} { error } or { answer_text }
+ */
+const toAnswerText = (entry, cell, optionOrder) => {
+  const optionIds = optionOrder[entry.question_id];
+  if (!optionIds || !/^[A-Za-z]+([;|\s]+[A-Za-z])*$/.test(cell)) return { answer_text: cell };
+
+  const letters = [...new Set(cell.toUpperCase().replace(/[;|\s]/g, '').split(''))];
+  const outOfRange = letters.find(letter => !optionIds[letter.charCodeAt(0) - 65]);
+  if (outOfRange) {
+    // A single word that cannot be read as bubbled letters is taken as an option's text
+    if (/^[A-Za-z]{2,}$/.test(cell)) return { answer_text: cell };
+    return { error: `"${outOfRange}" is not an option (the question has ${optionIds.length})` };
+  }
+
+  const selected = letters.map(letter => optionIds[letter.charCodeAt(0) - 65]);
+  return { answer_text: selected.length === 1 && entry.question.type !== 'mcq_multi' ? selected[0] : selected };
+};
+
+const parseMarksCell = (entry, cell, scheme) => {
+  const marks = Number(cell);
+  if (!Number.isFinite(marks)) return { error: `"${cell}" is not a number` };
+  const maxMarks = Number(entry.marks) || 0;
+  const minMarks = -getNegativeMarks(scheme, entry);
+  if (marks > maxMarks || marks < minMarks) return { error: `marks must be between ${minMarks} and ${maxMarks}` };
+  return { marks_awarded: marks, is_correct: marks === maxMarks };
+};
+
+// ============ ROWS ============
+// Validate one sheet row and work out its answers and expected score without writing anything
+const checkRow = (cells, rowNo, columns, context) => {
+  const { mode, scheme, optionOrder, knownUserIds, enrolledUserIds, existingUserIds, seenUserIds } = context;
+  const userId = cells[columns.userColumn] || '';
+  const report = { row: rowNo, user_id: userId || null, status: 'valid', errors: [], answers: [] };
+
+  if (!userId) report.errors.push('user_id is missing');
+  else if (seenUserIds.has(userId)) report.errors.push('user_id appears on more than one row');
+  else if (!knownUserIds.has(userId)) report.errors.push('unknown student: no user has this user_id');
+  else if (!enrolledUserIds.has(userId)) report.errors.push('student is not enrolled in this exam or its course');
+  else if (existingUserIds.has(userId)) report.errors.push('student already has an attempt for this exam');
+  seenUserIds.add(userId);
+
+  const submittedAt = columns.submittedAtColumn === -1 ? '' : cells[columns.submittedAtColumn] || '';
+  if (submittedAt && isNaN(new Date(submittedAt))) report.errors.push('submitted_at must be a valid date');
+  report.submitted_at = submittedAt ? new Date(submittedAt).toISOString() : null;
+
+  let totalScore = 0;
+  let pendingManual = 0;
+  for (const { index, header, entry } of columns.questionColumns) {
+    const cell = cells[index] || '';
+    if (NOT_ATTEMPTED.includes(cell)) {
+      totalScore += scheme.skipped_marks;
+      continue;
+    }
+
+    if (mode === IMPORT_MODES.MARKS) {
+      const grade = parseMarksCell(entry, cell, scheme);
+      if (grade.error) {
+        report.errors.push(`${header}: ${grade.error}`);
+        continue;
+      }
+      totalScore += grade.marks_awarded;
+      report.answers.push({ entry, answer_text: null, grade });
+      continue;
+    }
+
+    const parsed = toAnswerText(entry, cell, optionOrder);
+    if (parsed.error) {
+      report.errors.push(`${header}: ${parsed.error}`);
+      continue;
+    }
+    // Preview only; the stored answers are graded by the objective evaluator after import
+    const grade = entry.question.rubric ? null : evaluator.gradeAnswer(entry, parsed.answer_text, scheme);
+    if (grade) totalScore += grade.marks_awarded;
+    else pendingManual++;
+    report.answers.push({ entry, answer_text: parsed.answer_text, grade: null });
+  }
+
+  if (report.errors.length > 0) report.status = 'invalid';
+  report.preview = {
+    questions_answered: report.answers.length,
+    total_score: round2(totalScore),
+    total_possible: context.totalPossible,
+    pending_manual: pendingManual
+  };
+  return report;
+};
+
+// What the report shows for a row; the parsed answers stay internal
+const summarizeRow = (row) => ({
+  row: row.row,
+  user_id: row.user_id,
+  status: row.status,
+  errors: row.errors,
+  submitted_at: row.submitted_at,
+  preview: row.preview,
+  attempt_id: row.attempt_id || null,
+  result_id: row.result_id || null,
+  total_score: row.total_score ?? null,
+  percentage: row.percentage ?? null
+});
+
+const buildAnswerItem = (attempt, answer, course_id, importedBy, now) => ({
+  answer_id: service.buildAnswerId(attempt.attempt_id, answer.entry.question_id),
+  question_id: answer.entry.question_id,
+  exam_id: attempt.exam_id,
+  attempt_id: attempt.attempt_id,
+  display_no: attempt.question_order.indexOf(answer.entry.question_id) + 1,
+  user_id: attempt.user_id,
+  course_id,
+  answer_text: answer.answer_text,
+  time_spent_seconds: null,
+  is_correct: answer.grade ? answer.grade.is_correct : null,
+  marks_awarded: answer.grade ? answer.grade.marks_awarded : null,
+  evaluated_by: answer.grade ? importedBy : null,
+  evaluated_at: answer.grade ? now : null,
+  status: answer.grade ? 'evaluated' : 'pending',
+  source: 'offline_import',
+  import_id: attempt.import_id,
+  created_at: now,
+  updated_at: now
+});
+
+/**
+ * Import a paper test's CSV into attempts, answers and results; a dry run only validates and previews
+ * Valid rows are imported and invalid ones reported, so a sheet can be fixed and the failed rows sent again
+ * Sending the same import_id again (e.g. after a timeout) picks up the attempts it already created instead of rejecting them
+ * @param {Object} exam - Exam the sheet belongs to
+ * @param {Object} options - { csv, mode, dry_run, imported_by, import_id }
+ * @returns {Object} { error } or { import_id, dry_run, mode, rows, totals }
+ */
+const importOfflineScores = async (exam, { csv, mode, dry_run, imported_by, import_id }) => {
+  const questionSet = await examQuestionsService.getExamQuestionSet(exam.exam_id);
+  if (questionSet.length === 0) return { error: 'This exam has no mapped questions to import against' };
+
+  const [header, ...lines] = parseCsv(csv);
+  if (!header || lines.length === 0) return { error: 'The CSV needs a header row and at least one data row' };
+  if (lines.length > MAX_ROWS) return { error: `A single import is limited to ${MAX_ROWS} rows; split the sheet into smaller files` };
+
+  const columns = resolveColumns(header, questionSet);
+  if (columns.error) return { error: columns.error };
+
+  const [attempts, knownUserIds, enrolledUserIds] = await Promise.all([
+    service.getExamAttempts(exam.exam_id),
+    getUserIds(lines.map(cells => cells[columns.userColumn])),
+    getEnrolledUserIds(exam)
+  ]);
+  const importId = import_id || uuidv4();
+  const fromThisImport = (attempt) => !!import_id && attempt.import_id === import_id;
+  const context = {
+    mode,
+    scheme: resolveMarkingScheme(exam),
+    // Letters follow the printed paper: options in creation order, never shuffled
+    optionOrder: service.buildAttemptOrder('offline', { ...exam, shuffle_options: false }, questionSet).option_order,
+    totalPossible: round2(questionSet.reduce((sum, entry) => sum + (Number(entry.marks) || 0), 0)),
+    knownUserIds,
+    enrolledUserIds,
+    existingUserIds: new Set(attempts.filter(a => !fromThisImport(a)).map(a => a.user_id)),
+    seenUserIds: new Set()
+  };
+  // Row numbers match the spreadsheet, counting the header as row 1
+  const rows = lines.map((cells, i) => checkRow(cells, i + 2, columns, context));
+  const importedAttempts = new Map(attempts.filter(fromThisImport).map(a => [a.user_id, a]));
+
+  if (!dry_run) {
+    const now = new Date().toISOString();
+    const attemptIds = [];
+    // On a retry only the answers the earlier run did not get to are written
+    const savedAnswers = importedAttempts.size > 0 ? await service.getExamAnswers(exam.exam_id) : [];
+    const saved = new Set(savedAnswers.map(a => `${a.attempt_id}#${a.question_id}`));
+
+    for (const row of rows.filter(r => r.status === 'valid')) {
+      const attempt = importedAttempts.get(row.user_id)
+        || await service.createOfflineAttempt(exam, row.user_id, questionSet, { submitted_at: row.submitted_at, import_id: importId });
+      const missing = row.answers.filter(answer => !saved.has(`${attempt.attempt_id}#${answer.entry.question_id}`));
+      await service.putAnswers(missing.map(answer => buildAnswerItem(attempt, answer, exam.course_id || null, imported_by, now)));
+      row.attempt_id = attempt.attempt_id;
+      row.status = 'imported';
+      attemptIds.push(attempt.attempt_id);
+    }
+
+    // Responses go through the same objective grading as online answers before results are built
+    const evaluation = mode === IMPORT_MODES.RESPONSES && attemptIds.length > 0
+      ? await service.evaluateObjectiveAnswers(exam.exam_id)
+      : { attempt_ids: [] };
+    const results = await resultsService.refreshAttemptResults([...new Set([...attemptIds, ...evaluation.attempt_ids])]);
+    const resultsByAttempt = new Map(results.map(r => [r.attempt_id, r]));
+    rows.forEach(row => {
+      const result = row.attempt_id && resultsByAttempt.get(row.attempt_id);
+      if (result) {
+        row.result_id = result.result_id;
+        row.total_score = result.total_score;
+        row.percentage = result.percentage;
+      }
+    });
+  }
+
+  return {
+    import_id: dry_run ? null : importId,
+    dry_run: !!dry_run,
+    mode,
+    rows: rows.map(summarizeRow),
+    totals: {
+      rows: rows.length,
+      valid: rows.filter(r => r.status !== 'invalid').length,
+      invalid: rows.filter(r => r.status === 'invalid').length,
+      imported: rows.filter(r => r.status === 'imported').length
+    }
+  };
+};
+
+module.exports = {
+  IMPORT_MODES,
+  importOfflineScores
+};
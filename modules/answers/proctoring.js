@@ -0,0 +1,77 @@
+// Proctoring Events & Suspicion Scoring
+
+// Stored integrity events; heartbeat_gap is derived server-side from the client's heartbeats
+const PROCTORING_EVENT_TYPES = ['tab_switch', 'window_blur', 'fullscreen_exit', 'copy', 'paste', 'heartbeat_gap'];
+const CLIENT_EVENT_TYPES = [...PROCTORING_EVENT_TYPES.filter(type => type !== 'heartbeat_gap'), 'heartbeat'];
+
+// A heartbeat arriving later than this after the previous one records a heartbeat_gap
+const HEARTBEAT_GAP_SECONDS = 60;
+const MAX_EVENTS_PER_REQUEST = 100;
+
+// Points added per event; heartbeat gaps score per 10 seconds missed, capped per gap
+const EVENT_WEIGHTS = {
+  tab_switch: 10,
+  window_blur: 5,
+  fullscreen_exit: 8,
+  copy: 6,
+  paste: 12
+};
+const GAP_POINTS_PER_10_SECONDS = 1;
+const MAX_GAP_POINTS = 20;
+
+/**
+ * Validate events reported by the client
+ * @param {Array} events - [{ type, occurred_at, duration_seconds, details }]
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) return 'events must list at least one event';
+  if (events.length > MAX_EVENTS_PER_REQUEST) return `At most ${MAX_EVENTS_PER_REQUEST} events can be reported at once`;
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    const label = `events[${i}]`;
+    if (!event || typeof event !== 'object') return `${label} must be an object`;
+    if (!CLIENT_EVENT_TYPES.includes(event.type)) return `${label}.type must be one of: ${CLIENT_EVENT_TYPES.join(', ')}`;
+    if (event.occurred_at !== undefined && isNaN(new Date(event.occurred_at))) return `${label}.occurred_at must be a valid date`;
+    if (event.duration_seconds !== undefined && (typeof event.duration_seconds !== 'number' || event.duration_seconds < 0)) {
+      return `${label}.duration_seconds must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+const eventPoints = (event) => {
+  if (event.type === 'heartbeat_gap') {
+    return Math.min(MAX_GAP_POINTS, Math.floor((Number(event.duration_seconds) || 0) / 10) * GAP_POINTS_PER_10_SECONDS);
+  }
+  return EVENT_WEIGHTS[event.type] || 0;
+};
+
+/**
+ * Suspicion score for an attempt's recorded events
+ * @param {Array} events - Stored proctoring events
+ * @returns {Object} { suspicion_score (0-100), level, event_counts }
+ */
+const computeSuspicion = (events) => {
+  const eventCounts = {};
+  let score = 0;
+  events.forEach(event => {
+    eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+    score += eventPoints(event);
+  });
+
+  const suspicionScore = Math.min(100, score);
+  let level = 'low';
+  if (suspicionScore >= 50) level = 'high';
+  else if (suspicionScore >= 20) level = 'medium';
+
+  return { suspicion_score: suspicionScore, level, event_counts: eventCounts };
+};
+
+module.exports = {
+  PROCTORING_EVENT_TYPES,
+  HEARTBEAT_GAP_SECONDS,
+  validateEvents,
+  computeSuspicion
+};
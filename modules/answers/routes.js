@@ -1,18 +1,25 @@
 const express = require('express');
 const answersController = require('./controller');
 const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+const { requireOwnership } = require('../../middleware/ownershipMiddleware');
 
 const router = express.Router();
 
 // Answers Management Routes
-router.post('/exams/:examId/start', handler(answersController.startExam));
-router.post('/exams/:examId/questions/:questionId/answer', handler(answersController.submitAnswer));
-router.get('/exams/:examId/users/:userId/answers', handler(answersController.getUserAnswers));
-router.put('/:answerId', handler(answersController.updateAnswer));
-router.put('/:answerId/evaluate', handler(answersController.evaluateAnswer));
-router.get('/exams/:examId/answers', handler(answersController.getAllExamAnswers));
-router.delete('/:answerId', handler(answersController.deleteAnswer));
-router.post('/exams/:examId/auto-evaluate', handler(answersController.autoEvaluate));
-router.post('/exams/:examId/submit', handler(answersController.submitExam));
+router.post('/exams/:examId/start', requirePermission('canTakeQuizzes'), handler(answersController.startExam));
+router.post('/exams/:examId/questions/:questionId/answer', requirePermission('canTakeQuizzes'), handler(answersController.submitAnswer));
+router.get('/exams/:examId/users/:userId/answers', requirePermission('canViewOwnProgress', 'canViewStudentProgress'), requireOwnership('userId'), handler(answersController.getUserAnswers));
+router.put('/:answerId', requirePermission('canTakeQuizzes'), handler(answersController.updateAnswer));
+router.put('/:answerId/evaluate', requirePermission('canGradeAssignments'), handler(answersController.evaluateAnswer));
+router.get('/exams/:examId/answers', requirePermission('canGradeAssignments'), handler(answersController.getAllExamAnswers));
+router.delete('/:answerId', requirePermission('canGradeAssignments'), handler(answersController.deleteAnswer));
+router.post('/exams/:examId/auto-evaluate', requirePermission('canGradeAssignments'), handler(answersController.autoEvaluate));
+router.post('/exams/:examId/offline-import', requirePermission('canGradeAssignments'), handler(answersController.importOfflineScores));
+router.post('/exams/:examId/submit', requirePermission('canTakeQuizzes'), handler(answersController.submitExam));
+router.get('/exams/:examId/attempts', requirePermission('canGradeAssignments'), handler(answersController.getExamAttempts));
+router.get('/exams/:examId/attempts/:attemptId/paper', requirePermission('canTakeQuizzes', 'canGradeAssignments'), handler(answersController.getAttemptPaper));
+router.post('/exams/:examId/attempts/:attemptId/proctoring-events', requirePermission('canTakeQuizzes'), handler(answersController.recordProctoringEvents));
+router.get('/exams/:examId/attempts/:attemptId/proctoring', requirePermission('canGradeAssignments'), handler(answersController.getProctoringReport));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,752 @@
+// Business Logic for Exam Attempts & Answers
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const evaluator = require('./evaluator');
+const { seededShuffle } = require('./shuffle');
+const { HEARTBEAT_GAP_SECONDS } = require('./proctoring');
+const { scoreRubric } = require('../questions/rubric');
+const { OPTION_TYPES } = require('../questions/types');
+const examQuestionsService = require('../exam-questions/service');
+const { getNegativeMarks, resolveMarkingScheme } = require('../exams/marking-scheme');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  EXAMS: process.env.EXAMS_TABLE || 'TestExams',
+  ATTEMPTS: process.env.EXAM_ATTEMPTS_TABLE || 'TestExamAttempts',
+  ANSWERS: process.env.ANSWERS_TABLE || 'TestAnswers',
+  PROCTORING_EVENTS: process.env.PROCTORING_EVENTS_TABLE || 'TestProctoringEvents'
+};
+
+const ATTEMPT_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  SUBMITTED: 'submitted',
+  EXPIRED: 'expired'
+};
+
+// Exam statuses in which students may start or continue an attempt
+const OPEN_EXAM_STATUSES = ['published', 'live'];
+
+// Query every page of a DynamoDB query (exam-wide reads easily exceed 1MB)
+const queryAll = async (params) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// ============ EXAMS ============
+const getExam = async (examId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.EXAMS, Key: { exam_id: examId } }).promise();
+  return result.Item || null;
+};
+
+// Returns null when the exam window is open, otherwise the reason it is not
+const getExamWindowError = (exam, now = new Date()) => {
+  if (!OPEN_EXAM_STATUSES.includes(exam.status)) return 'Exam is not open for attempts';
+  if (now < new Date(exam.start_time)) return 'Exam has not started yet';
+  if (now >= new Date(exam.end_time)) return 'Exam window has closed';
+  return null;
+};
+
+// ============ ATTEMPTS ============
+// Deadline is the earlier of the attempt's duration running out and the exam closing
+// (pushed back by any accommodation extra time, see applyAccommodation)
+const computeDeadline = (exam, startedAt) => {
+  const byDuration = new Date(new Date(startedAt).getTime() + Number(exam.duration_minutes) * 60 * 1000);
+  const examEnd = new Date(new Date(exam.end_time).getTime() + (Number(exam.deadline_extension_minutes) || 0) * 60 * 1000);
+  return (byDuration < examEnd ? byDuration : examEnd).toISOString();
+};
+
+const getAttempt = async (attemptId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.ATTEMPTS, Key: { attempt_id: attemptId } }).promise();
+  return result.Item || null;
+};
+
+const getUserAttempts = async (examId, userId) => {
+  const items = await queryAll({
+    TableName: TABLES.ATTEMPTS,
+    IndexName: 'examUser-index',
+    KeyConditionExpression: 'exam_id = :examId AND user_id = :userId',
+    ExpressionAttributeValues: { ':examId': examId, ':userId': userId }
+  });
+  return items.sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+};
+
+const getExamAttempts = async (examId) => {
+  return queryAll({
+    TableName: TABLES.ATTEMPTS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+// One attempt per student, exam and attempt number, so two starts racing for the same attempt write the same key
+const buildAttemptId = (examId, userId, attemptNo) => `${examId}:${userId}:${attemptNo}`;
+
+// One answer row per attempt and question; answering again updates it
+const buildAnswerId = (attemptId, questionId) => `${attemptId}:${questionId}`;
+
+// Fixes the question and option order the student sees for the whole attempt, seeded by the attempt id
+const buildAttemptOrder = (attemptId, exam, questionSet) => {
+  const questionIds = questionSet.map(entry => entry.question_id);
+  const optionOrder = {};
+
+  questionSet.filter(entry => entry.options.length > 0).forEach(entry => {
+    const optionIds = [...entry.options]
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+      .map(option => option.option_id);
+    optionOrder[entry.question_id] = exam.shuffle_options
+      ? seededShuffle(optionIds, `${attemptId}:${entry.question_id}`)
+      : optionIds;
+  });
+
+  return {
+    question_order: exam.shuffle_questions ? seededShuffle(questionIds, `${attemptId}:questions`) : questionIds,
+    option_order: optionOrder
+  };
+};
+
+// Per-attempt blueprints draw a fresh question set for every attempt; otherwise the exam's mapped questions are used.
+// A draw that cannot fill every rule returns its shortfalls instead, so no student gets a shorter paper
+const getStartingQuestionSet = async (exam, attemptId) => {
+  if (!exam.blueprint || exam.blueprint.mode !== 'per_attempt') {
+    return { questionSet: await examQuestionsService.getExamQuestionSet(exam.exam_id), questionMarks: null };
+  }
+
+  const { questions, shortfalls } = await examQuestionsService.drawBlueprint(exam.blueprint, attemptId);
+  if (shortfalls.length > 0) {
+    console.warn(`Blueprint for exam ${exam.exam_id} could not be filled for attempt ${attemptId}:`, shortfalls);
+    return { shortfalls };
+  }
+  const questionMarks = {};
+  questions.forEach(question => { questionMarks[question.question_id] = question.marks; });
+  const questionSet = await examQuestionsService.getQuestionSetByIds(questions.map(q => q.question_id), questionMarks);
+  return { questionSet, questionMarks };
+};
+
+/**
+ * Start a new attempt with its question set and order fixed
+ * @returns {Object} The attempt, { error, shortfalls } when the exam's blueprint pool can no longer fill a paper,
+ * or { duplicate } holding the attempt a concurrent start already wrote for this attempt number
+ */
+const createAttempt = async (exam, userId, attemptNo = 1) => {
+  const now = new Date().toISOString();
+  const attemptId = buildAttemptId(exam.exam_id, userId, attemptNo);
+  const { questionSet, questionMarks, shortfalls } = await getStartingQuestionSet(exam, attemptId);
+  if (shortfalls) return { error: 'Not enough matching questions to build this exam paper; ask your teacher to update the blueprint', shortfalls };
+
+  const item = {
+    attempt_id: attemptId,
+    exam_id: exam.exam_id,
+    user_id: userId,
+    attempt_no: attemptNo,
+    status: ATTEMPT_STATUS.IN_PROGRESS,
+    started_at: now,
+    deadline: computeDeadline(exam, now),
+    submitted_at: null,
+    ...buildAttemptOrder(attemptId, exam, questionSet),
+    question_marks: questionMarks,
+    accommodation_id: exam.accommodation_id || null,
+    created_at: now,
+    updated_at: now
+  };
+
+  try {
+    await dynamoDB.put({
+      TableName: TABLES.ATTEMPTS,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(attempt_id)'
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+    return { duplicate: await getAttempt(attemptId) };
+  }
+
+  return item;
+};
+
+/**
+ * Closed attempt for a paper sitting, in the printed (unshuffled) question and option order
+ * @param {Object} exam - Exam the paper was for
+ * @param {string} userId - Student
+ * @param {Array} questionSet - Exam question set entries
+ * @param {Object} meta - { attempt_no, submitted_at, import_id }
+ */
+const createOfflineAttempt = async (exam, userId, questionSet, { attempt_no = 1, submitted_at, import_id }) => {
+  const now = new Date().toISOString();
+  const attemptId = buildAttemptId(exam.exam_id, userId, attempt_no);
+  const sittingAt = submitted_at || now;
+
+  const item = {
+    attempt_id: attemptId,
+    exam_id: exam.exam_id,
+    user_id: userId,
+    attempt_no,
+    status: ATTEMPT_STATUS.SUBMITTED,
+    mode: 'offline',
+    import_id,
+    started_at: sittingAt,
+    deadline: sittingAt,
+    submitted_at: sittingAt,
+    ...buildAttemptOrder(attemptId, { ...exam, shuffle_questions: false, shuffle_options: false }, questionSet),
+    accommodation_id: null,
+    created_at: now,
+    updated_at: now
+  };
+
+  await dynamoDB.put({
+    TableName: TABLES.ATTEMPTS,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(attempt_id)'
+  }).promise();
+
+  return item;
+};
+
+// Moves an in-progress attempt to submitted or expired; a no-op if it was already closed
+const closeAttempt = async (attempt, status) => {
+  const now = new Date().toISOString();
+  try {
+    const result = await dynamoDB.update({
+      TableName: TABLES.ATTEMPTS,
+      Key: { attempt_id: attempt.attempt_id },
+      UpdateExpression: 'SET #status = :status, submitted_at = :submittedAt, updated_at = :updatedAt',
+      ConditionExpression: '#status = :inProgress',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':submittedAt': status === ATTEMPT_STATUS.SUBMITTED ? now : attempt.deadline,
+        ':updatedAt': now,
+        ':inProgress': ATTEMPT_STATUS.IN_PROGRESS
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') return getAttempt(attempt.attempt_id);
+    throw error;
+  }
+};
+
+// Recomputes an in-progress attempt's deadline after the student's sitting changed
+const updateAttemptDeadline = async (attempt, sitting) => {
+  const result = await dynamoDB.update({
+    TableName: TABLES.ATTEMPTS,
+    Key: { attempt_id: attempt.attempt_id },
+    UpdateExpression: 'SET deadline = :deadline, accommodation_id = :accommodationId, updated_at = :updatedAt',
+    ConditionExpression: '#status = :inProgress',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':deadline': computeDeadline(sitting, attempt.started_at),
+      ':accommodationId': sitting.accommodation_id || null,
+      ':updatedAt': new Date().toISOString(),
+      ':inProgress': ATTEMPT_STATUS.IN_PROGRESS
+    },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+// Expires an in-progress attempt whose deadline has passed
+const refreshAttempt = async (attempt, now = new Date()) => {
+  if (attempt.status === ATTEMPT_STATUS.IN_PROGRESS && now >= new Date(attempt.deadline)) {
+    return closeAttempt(attempt, ATTEMPT_STATUS.EXPIRED);
+  }
+  return attempt;
+};
+
+const isAttemptOpen = (attempt) => !!attempt && attempt.status === ATTEMPT_STATUS.IN_PROGRESS;
+
+// The user's in-progress attempt for an exam, or null if there is none still open
+const getOpenAttempt = async (examId, userId) => {
+  const attempts = await getUserAttempts(examId, userId);
+  const current = attempts.find(a => a.status === ATTEMPT_STATUS.IN_PROGRESS);
+  if (!current) return null;
+  const refreshed = await refreshAttempt(current);
+  return isAttemptOpen(refreshed) ? refreshed : null;
+};
+
+/**
+ * The questions an attempt was given: its own draw for per-attempt blueprints,
+ * otherwise the exam's question set limited to the attempt's fixed order
+ * @param {Object} attempt - Exam attempt
+ * @param {Array} examQuestionSet - Optional preloaded exam question set
+ */
+const getAttemptQuestionSet = async (attempt, examQuestionSet = null) => {
+  if (attempt.question_marks) {
+    return examQuestionsService.getQuestionSetByIds(attempt.question_order, attempt.question_marks);
+  }
+  const questionSet = examQuestionSet || await examQuestionsService.getExamQuestionSet(attempt.exam_id);
+  if (!attempt.question_order) return questionSet;
+  const included = new Set(attempt.question_order);
+  return questionSet.filter(entry => included.has(entry.question_id));
+};
+
+// ============ PAPER ============
+/**
+ * The attempt's questions in the order this student sees them, without answer keys
+ * @param {Object} attempt - Exam attempt with question_order/option_order
+ * @param {Array} questionSet - Exam question set entries
+ * @returns {Array} Paper questions numbered by display_no
+ */
+const buildAttemptPaper = (attempt, questionSet) => {
+  const entriesByQuestion = new Map(questionSet.map(entry => [entry.question_id, entry]));
+  const questionOrder = attempt.question_order || questionSet.map(entry => entry.question_id);
+
+  return questionOrder
+    .filter(questionId => entriesByQuestion.has(questionId))
+    .map((questionId, index) => {
+      const { question, options, marks } = entriesByQuestion.get(questionId);
+      const paperQuestion = {
+        display_no: index + 1,
+        question_id: questionId,
+        type: question.type,
+        question_text: question.question_text,
+        marks
+      };
+
+      if (options.length > 0) {
+        const optionsById = new Map(options.map(option => [option.option_id, option]));
+        const optionIds = (attempt.option_order && attempt.option_order[questionId]) || options.map(o => o.option_id);
+        paperQuestion.options = optionIds
+          .filter(optionId => optionsById.has(optionId))
+          .map(optionId => ({ option_id: optionId, option_text: optionsById.get(optionId).option_text }));
+      }
+      if (question.type === 'match' && question.answer_config) {
+        const pairs = question.answer_config.pairs;
+        paperQuestion.match_left = pairs.map(pair => pair.left);
+        paperQuestion.match_right = seededShuffle(pairs.map(pair => pair.right), `${attempt.attempt_id}:${questionId}:match`);
+      }
+      if (question.type === 'fill_blank' && question.answer_config) {
+        paperQuestion.blanks_count = question.answer_config.blanks.length;
+      }
+      return paperQuestion;
+    });
+};
+
+/**
+ * Answer keys for questions, for showing students after results are released
+ * @returns {Map} question_id -> { correct_answer, answer_config, correct_option_ids, explanation }
+ */
+const getAnswerKeys = async (questionIds) => {
+  const questions = await examQuestionsService.getQuestionsByIds(questionIds);
+  const keys = new Map();
+  for (const question of questions) {
+    const options = OPTION_TYPES.includes(question.type)
+      ? await examQuestionsService.getQuestionOptions(question.question_id)
+      : [];
+    keys.set(question.question_id, {
+      correct_answer: question.correct_answer ?? null,
+      answer_config: question.answer_config ?? null,
+      correct_option_ids: options.filter(o => o.is_correct === true).map(o => o.option_id),
+      explanation: question.explanation ?? null
+    });
+  }
+  return keys;
+};
+
+// ============ ANSWERS ============
+const getAnswer = async (answerId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.ANSWERS, Key: { answer_id: answerId } }).promise();
+  return result.Item || null;
+};
+
+// The exam question entry an answer was given against, or null if it is no longer on the exam
+const getAnswerEntry = async (answer) => {
+  const attempt = answer.attempt_id ? await getAttempt(answer.attempt_id) : null;
+  const questionSet = attempt
+    ? await getAttemptQuestionSet(attempt)
+    : await examQuestionsService.getExamQuestionSet(answer.exam_id);
+  return questionSet.find(entry => entry.question_id === answer.question_id) || null;
+};
+
+// Every answer to a question across exams, including per-attempt blueprint papers the question is not mapped on
+const getQuestionAnswers = async (questionId) => {
+  return queryAll({
+    TableName: TABLES.ANSWERS,
+    IndexName: 'questionId-index',
+    KeyConditionExpression: 'question_id = :questionId',
+    ExpressionAttributeValues: { ':questionId': questionId }
+  });
+};
+
+// Every answer row of one attempt
+const getAttemptAnswerItems = async (attempt) => {
+  return queryAll({
+    TableName: TABLES.ANSWERS,
+    IndexName: 'examUser-index',
+    KeyConditionExpression: 'exam_id = :examId AND user_id = :userId',
+    FilterExpression: 'attempt_id = :attemptId',
+    ExpressionAttributeValues: { ':examId': attempt.exam_id, ':userId': attempt.user_id, ':attemptId': attempt.attempt_id }
+  });
+};
+
+const getExamAnswers = async (examId) => {
+  return queryAll({
+    TableName: TABLES.ANSWERS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+// BatchWriteItem accepts at most 25 items per request
+const BATCH_WRITE_LIMIT = 25;
+
+const putAnswers = async (items) => {
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    let requestItems = {
+      [TABLES.ANSWERS]: items.slice(i, i + BATCH_WRITE_LIMIT).map(item => ({ PutRequest: { Item: item } }))
+    };
+    // Retry items DynamoDB left unprocessed under throttling
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems;
+    }
+  }
+};
+
+// ============ EVALUATION ============
+/**
+ * Auto-grade the exam's pending objective answers from closed attempts under the exam's marking scheme.
+ * Descriptive answers, and objective ones without an answer key, stay pending for a teacher.
+ * @param {string} examId - Exam to evaluate
+ * @param {Object} options - { attempt } to grade only that attempt's answers (e.g. on submit)
+ * @returns {Object} Counts of evaluated, correct, manual and skipped answers, and the attempts touched
+ */
+const evaluateObjectiveAnswers = async (examId, { attempt = null } = {}) => {
+  const [exam, questionSet, answers, attempts] = await Promise.all([
+    getExam(examId),
+    examQuestionsService.getExamQuestionSet(examId),
+    attempt ? getAttemptAnswerItems(attempt) : getExamAnswers(examId),
+    attempt ? [attempt] : getExamAttempts(examId)
+  ]);
+
+  const scheme = resolveMarkingScheme(exam);
+  const refreshedAttempts = await Promise.all(attempts.map(a => refreshAttempt(a)));
+  const closedAttempts = new Map(refreshedAttempts.filter(a => !isAttemptOpen(a)).map(a => [a.attempt_id, a]));
+
+  // Question entries per attempt; only per-attempt draws need their own set
+  const entriesByAttempt = new Map();
+  const getEntries = async (attempt) => {
+    if (!entriesByAttempt.has(attempt.attempt_id)) {
+      const attemptSet = attempt.question_marks ? await getAttemptQuestionSet(attempt) : questionSet;
+      entriesByAttempt.set(attempt.attempt_id, new Map(attemptSet.map(entry => [entry.question_id, entry])));
+    }
+    return entriesByAttempt.get(attempt.attempt_id);
+  };
+
+  const summary = { evaluated: 0, correct: 0, manual_pending: 0, skipped: 0 };
+  const touchedAttemptIds = new Set();
+
+  for (const answer of answers.filter(a => a.status === 'pending')) {
+    const attempt = closedAttempts.get(answer.attempt_id);
+    const entry = attempt ? (await getEntries(attempt)).get(answer.question_id) : null;
+    // Answers still being edited, or for questions no longer on the exam, are left alone
+    if (!entry) {
+      summary.skipped++;
+      continue;
+    }
+
+    // Rubric questions are always graded by a teacher
+    const grade = entry.question.rubric ? null : evaluator.gradeAnswer(entry, answer.answer_text, scheme);
+    if (!grade) {
+      summary.manual_pending++;
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    try {
+      await dynamoDB.update({
+        TableName: TABLES.ANSWERS,
+        Key: { answer_id: answer.answer_id },
+        UpdateExpression: 'SET is_correct = :correct, marks_awarded = :marks, evaluated_by = :evalBy, evaluated_at = :evalAt, #status = :status, updated_at = :updatedAt',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':correct': grade.is_correct,
+          ':marks': grade.marks_awarded,
+          ':evalBy': 'auto',
+          ':evalAt': now,
+          ':status': 'evaluated',
+          ':updatedAt': now,
+          ':pending': 'pending'
+        }
+      }).promise();
+
+      summary.evaluated++;
+      if (grade.is_correct) summary.correct++;
+      touchedAttemptIds.add(answer.attempt_id);
+    } catch (error) {
+      // A teacher graded it between our read and write
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      summary.skipped++;
+    }
+  }
+
+  return { ...summary, attempt_ids: [...touchedAttemptIds] };
+};
+
+/**
+ * Re-grade one question's answers in an exam against the question's current answer key,
+ * after a key correction. Only auto-graded and pending answers from closed attempts are touched;
+ * teacher-graded answers keep their marks.
+ * @param {string} examId - Exam that used the question
+ * @param {string} questionId - Question whose key changed
+ * @returns {Object} { changes: [{ answer_id, attempt_id, user_id, before, after }], unchanged, manual }
+ */
+const regradeQuestionAnswers = async (examId, questionId) => {
+  const [exam, questionSet, answers, attempts] = await Promise.all([
+    getExam(examId),
+    examQuestionsService.getExamQuestionSet(examId),
+    getExamAnswers(examId),
+    getExamAttempts(examId)
+  ]);
+
+  const scheme = resolveMarkingScheme(exam);
+  const refreshedAttempts = await Promise.all(attempts.map(a => refreshAttempt(a)));
+  const closedAttempts = new Map(refreshedAttempts.filter(a => !isAttemptOpen(a)).map(a => [a.attempt_id, a]));
+
+  const entryByAttempt = new Map();
+  const getEntry = async (attempt) => {
+    if (!entryByAttempt.has(attempt.attempt_id)) {
+      const attemptSet = attempt.question_marks ? await getAttemptQuestionSet(attempt) : questionSet;
+      entryByAttempt.set(attempt.attempt_id, attemptSet.find(entry => entry.question_id === questionId) || null);
+    }
+    return entryByAttempt.get(attempt.attempt_id);
+  };
+
+  const report = { changes: [], unchanged: 0, manual: 0 };
+
+  for (const answer of answers.filter(a => a.question_id === questionId)) {
+    const attempt = closedAttempts.get(answer.attempt_id);
+    const entry = attempt ? await getEntry(attempt) : null;
+    if (!entry) continue;
+
+    const autoGraded = answer.status === 'pending' || answer.evaluated_by === 'auto';
+    const grade = autoGraded && !entry.question.rubric ? evaluator.gradeAnswer(entry, answer.answer_text, scheme) : null;
+    if (!grade) {
+      report.manual++;
+      continue;
+    }
+    if (answer.status === 'evaluated' && answer.marks_awarded === grade.marks_awarded && answer.is_correct === grade.is_correct) {
+      report.unchanged++;
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    try {
+      await dynamoDB.update({
+        TableName: TABLES.ANSWERS,
+        Key: { answer_id: answer.answer_id },
+        UpdateExpression: 'SET is_correct = :correct, marks_awarded = :marks, evaluated_by = :evalBy, evaluated_at = :evalAt, regraded_at = :evalAt, #status = :status, updated_at = :evalAt',
+        // A teacher may have graded it since we read it
+        ConditionExpression: '#status = :pending OR evaluated_by = :evalBy',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':correct': grade.is_correct,
+          ':marks': grade.marks_awarded,
+          ':evalBy': 'auto',
+          ':evalAt': now,
+          ':status': 'evaluated',
+          ':pending': 'pending'
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      report.manual++;
+      continue;
+    }
+
+    report.changes.push({
+      answer_id: answer.answer_id,
+      attempt_id: answer.attempt_id,
+      user_id: answer.user_id,
+      before: { marks_awarded: answer.marks_awarded ?? null, is_correct: answer.is_correct ?? null, status: answer.status },
+      after: { marks_awarded: grade.marks_awarded, is_correct: grade.is_correct, status: 'evaluated' }
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Check a teacher's grade for an answer, deriving marks from the question's rubric when rubric_scores are given
+ * @param {Object} answer - Answer being graded
+ * @param {Object} input - { marks_awarded, is_correct } or { rubric_scores: [{ criterion_id, level_id, comment }] }
+ * @returns {Object} { error } or { marks_awarded, is_correct, rubric_evaluation }
+ */
+const resolveManualGrade = async (answer, input) => {
+  const [exam, entry] = await Promise.all([getExam(answer.exam_id), getAnswerEntry(answer)]);
+  let marksAwarded = input.marks_awarded;
+  let rubricEvaluation = null;
+
+  if (input.rubric_scores !== undefined) {
+    if (!entry || !entry.question.rubric) return { error: 'This question has no rubric' };
+    if (marksAwarded !== undefined) return { error: 'Send either marks_awarded or rubric_scores, not both' };
+    const scored = scoreRubric(entry.question.rubric, input.rubric_scores, entry.marks);
+    if (scored.error) return { error: scored.error };
+    marksAwarded = scored.marks_awarded;
+    rubricEvaluation = scored.rubric_evaluation;
+  }
+
+  if (marksAwarded === undefined) return { error: 'marks_awarded or rubric_scores is required' };
+  if (typeof marksAwarded !== 'number' || !Number.isFinite(marksAwarded)) return { error: 'marks_awarded must be a number' };
+
+  // Marks must stay within the question's marks on this exam and the scheme's negative marking
+  const maxMarks = entry ? Number(entry.marks) || 0 : null;
+  if (entry) {
+    const minMarks = -getNegativeMarks(resolveMarkingScheme(exam), entry);
+    if (marksAwarded > maxMarks || marksAwarded < minMarks) {
+      return { error: `marks_awarded must be between ${minMarks} and ${maxMarks} for this question` };
+    }
+  }
+
+  // A rubric grade is correct when it earns full marks, unless the teacher says otherwise
+  const isCorrect = input.is_correct !== undefined ? input.is_correct : (rubricEvaluation ? marksAwarded === maxMarks : undefined);
+  if (isCorrect === undefined) return { error: 'is_correct is required' };
+
+  return { marks_awarded: marksAwarded, is_correct: isCorrect, rubric_evaluation: rubricEvaluation };
+};
+
+// Store a resolved grade and optional feedback on the answer; a plain grade clears any earlier rubric breakdown
+const saveManualGrade = async (answer, grade, evaluatedBy) => {
+  const now = new Date().toISOString();
+  const result = await dynamoDB.update({
+    TableName: TABLES.ANSWERS,
+    Key: { answer_id: answer.answer_id },
+    UpdateExpression: 'SET marks_awarded = :marks, is_correct = :correct, rubric_evaluation = :rubric, feedback = :feedback, evaluated_by = :evalBy, evaluated_at = :evalAt, #status = :status, updated_at = :updatedAt',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':marks': grade.marks_awarded,
+      ':correct': grade.is_correct,
+      ':rubric': grade.rubric_evaluation || null,
+      ':feedback': grade.feedback || null,
+      ':evalBy': evaluatedBy,
+      ':evalAt': now,
+      ':status': 'evaluated',
+      ':updatedAt': now
+    },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+// ============ PROCTORING ============
+const buildProctoringEvent = (attempt, type, occurredAt, receivedAt, { duration_seconds, details } = {}) => ({
+  event_id: uuidv4(),
+  attempt_id: attempt.attempt_id,
+  exam_id: attempt.exam_id,
+  user_id: attempt.user_id,
+  type,
+  occurred_at: occurredAt,
+  received_at: receivedAt,
+  duration_seconds: duration_seconds ?? null,
+  details: details || null
+});
+
+/**
+ * Store the integrity events a client reported for an open attempt
+ * Heartbeats are not stored; a heartbeat arriving too long after the previous one records a heartbeat_gap
+ * @param {Object} attempt - In-progress attempt
+ * @param {Array} events - Validated client events
+ * @returns {Array} The stored events
+ */
+const recordProctoringEvents = async (attempt, events, now = new Date()) => {
+  const receivedAt = now.toISOString();
+  const startedAt = new Date(attempt.started_at);
+  // Client clocks are not trusted beyond the attempt's own time span
+  const clamp = (value) => {
+    const date = value ? new Date(value) : now;
+    if (date < startedAt) return attempt.started_at;
+    return date > now ? receivedAt : date.toISOString();
+  };
+
+  const stored = events
+    .filter(event => event.type !== 'heartbeat')
+    .map(event => buildProctoringEvent(attempt, event.type, clamp(event.occurred_at), receivedAt, event));
+
+  if (events.some(event => event.type === 'heartbeat')) {
+    const lastHeartbeat = attempt.last_heartbeat_at || attempt.started_at;
+    const gapSeconds = Math.round((now - new Date(lastHeartbeat)) / 1000);
+    if (gapSeconds > HEARTBEAT_GAP_SECONDS) {
+      stored.push(buildProctoringEvent(attempt, 'heartbeat_gap', receivedAt, receivedAt, {
+        duration_seconds: gapSeconds,
+        details: { last_heartbeat_at: lastHeartbeat }
+      }));
+    }
+    await dynamoDB.update({
+      TableName: TABLES.ATTEMPTS,
+      Key: { attempt_id: attempt.attempt_id },
+      UpdateExpression: 'SET last_heartbeat_at = :now',
+      ExpressionAttributeValues: { ':now': receivedAt }
+    }).promise();
+  }
+
+  await Promise.all(stored.map(item => dynamoDB.put({ TableName: TABLES.PROCTORING_EVENTS, Item: item }).promise()));
+  return stored;
+};
+
+const sortByOccurredAt = (events) => events.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+
+const getAttemptProctoringEvents = async (attemptId) => {
+  return sortByOccurredAt(await queryAll({
+    TableName: TABLES.PROCTORING_EVENTS,
+    IndexName: 'attemptId-index',
+    KeyConditionExpression: 'attempt_id = :attemptId',
+    ExpressionAttributeValues: { ':attemptId': attemptId }
+  }));
+};
+
+const getExamProctoringEvents = async (examId) => {
+  return sortByOccurredAt(await queryAll({
+    TableName: TABLES.PROCTORING_EVENTS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  }));
+};
+
+module.exports = {
+  ATTEMPT_STATUS,
+  OPEN_EXAM_STATUSES,
+  queryAll,
+  getExam,
+  getExamWindowError,
+  computeDeadline,
+  getAttempt,
+  getUserAttempts,
+  getExamAttempts,
+  buildAttemptId,
+  buildAnswerId,
+  buildAttemptOrder,
+  createAttempt,
+  createOfflineAttempt,
+  closeAttempt,
+  updateAttemptDeadline,
+  refreshAttempt,
+  isAttemptOpen,
+  getOpenAttempt,
+  getAttemptQuestionSet,
+  buildAttemptPaper,
+  getAnswerKeys,
+  getAnswer,
+  getAnswerEntry,
+  getQuestionAnswers,
+  getExamAnswers,
+  putAnswers,
+  evaluateObjectiveAnswers,
+  regradeQuestionAnswers,
+  resolveManualGrade,
+  saveManualGrade,
+  recordProctoringEvents,
+  getAttemptProctoringEvents,
+  getExamProctoringEvents
+};
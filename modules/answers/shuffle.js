@@ -0,0 +1,38 @@
+// Deterministic Per-Attempt Shuffling
+
+const crypto = require('crypto');
+
+// 32-bit seed derived from a string such as an attempt id
+const seedFromString = (value) => crypto.createHash('sha256').update(String(value)).digest().readUInt32BE(0);
+
+// mulberry32: small, fast PRNG that is fully determined by its seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle driven by a seed string; the same seed always gives the same order
+ * @param {Array} items - Items to shuffle (not modified)
+ * @param {string} seed - Seed, e.g. `${attemptId}:questions`
+ * @returns {Array} Shuffled copy
+ */
+const seededShuffle = (items, seed) => {
+  const random = createRandom(seedFromString(seed));
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  seededShuffle
+};
@@ -0,0 +1,180 @@
+const service = require('./service');
+const answersService = require('../answers/service');
+const answersController = require('../answers/controller');
+const { isDoubleBlind } = require('../exams/grading-policy');
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// Final marks go through the normal teacher evaluation, crediting every grader involved
+const writeFinalGrade = (event, answerId, grade, graderIds) => answersController.evaluateAnswer({
+  ...event,
+  pathParameters: { answerId },
+  body: JSON.stringify(grade)
+}, { evaluatedBy: graderIds, blindGrading: true });
+
+// Loads the answer and checks it is a double-marked answer from a closed attempt
+const loadMarkableAnswer = async (answerId) => {
+  const answer = await answersService.getAnswer(answerId);
+  if (!answer) return { error: createResponse(404, { success: false, message: 'Answer not found' }) };
+
+  const [exam, entry, attempt] = await Promise.all([
+    answersService.getExam(answer.exam_id),
+    answersService.getAnswerEntry(answer),
+    answer.attempt_id ? answersService.getAttempt(answer.attempt_id) : null
+  ]);
+  if (!exam || !isDoubleBlind(exam)) {
+    return { error: createResponse(400, { success: false, message: 'The exam does not use double-blind grading' }) };
+  }
+  if (!entry || !service.DOUBLE_MARKED_TYPES.includes(entry.question.type)) {
+    return { error: createResponse(400, { success: false, message: `Only ${service.DOUBLE_MARKED_TYPES.join(', ')} answers are double-marked` }) };
+  }
+  if (attempt && answersService.isAttemptOpen(await answersService.refreshAttempt(attempt))) {
+    return { error: createResponse(409, { success: false, message: 'The attempt is still in progress' }) };
+  }
+  return { answer, exam };
+};
+
+// 1. Get Grading Queue (answers the calling grader has not marked yet)
+async function getGradingQueue(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const graderId = event.user?.userId;
+    if (!graderId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+    if (!isDoubleBlind(exam)) return createResponse(400, { success: false, message: 'The exam does not use double-blind grading' });
+
+    const data = await service.getGraderQueue(examId, graderId);
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetGradingQueue Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get grading queue', error: error.message });
+  }
+}
+
+// 2. Submit Blind Grade (the second grade finalises the answer or sends it to moderation)
+async function submitBlindGrade(event) {
+  try {
+    const answerId = event.pathParameters?.answerId;
+    if (!answerId) return createResponse(400, { success: false, message: 'answerId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+    const graderId = event.user?.userId;
+    if (!graderId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const loaded = await loadMarkableAnswer(answerId);
+    if (loaded.error) return loaded.error;
+    const { answer, exam } = loaded;
+    if (answer.status === 'evaluated') return createResponse(409, { success: false, message: 'Answer is already evaluated' });
+
+    const existing = await service.getAnswerGrades(answerId);
+    if (existing.some(g => g.grader_id === graderId)) {
+      return createResponse(409, { success: false, message: 'You have already graded this answer' });
+    }
+    if (service.getBlindGrades(existing).length >= 2) {
+      return createResponse(409, { success: false, message: 'Answer already has two grades' });
+    }
+
+    const { marks_awarded, is_correct, rubric_scores, feedback } = JSON.parse(event.body);
+    const grade = await answersService.resolveManualGrade(answer, { marks_awarded, is_correct, rubric_scores });
+    if (grade.error) return createResponse(400, { success: false, message: grade.error });
+
+    const role = existing.length === 0 ? service.GRADE_ROLE.FIRST : service.GRADE_ROLE.SECOND;
+    const recorded = await service.recordGrade(answer, graderId, role, { ...grade, feedback });
+    if (!recorded) return createResponse(409, { success: false, message: 'You have already graded this answer, or it already has two grades' });
+
+    // Graders only learn where the answer went, never the other grader's marks
+    const grades = await service.getAnswerGrades(answerId);
+    if (service.getBlindGrades(grades).length < 2) {
+      return createResponse(201, { success: true, message: 'Grade recorded', data: { role, marking_status: service.MARKING_STATUS.AWAITING_SECOND } });
+    }
+
+    const reconciled = service.reconcileGrades(grades, exam);
+    if (reconciled.needs_moderation) {
+      return createResponse(201, { success: true, message: 'Grades differ; answer sent to moderation', data: { role, marking_status: service.MARKING_STATUS.AWAITING_MODERATION } });
+    }
+
+    const evaluation = await writeFinalGrade(event, answerId, {
+      marks_awarded: reconciled.marks_awarded,
+      is_correct: reconciled.is_correct,
+      feedback: reconciled.feedback
+    }, service.getBlindGrades(grades).map(g => g.grader_id));
+    if (evaluation.statusCode !== 200) return evaluation;
+
+    return createResponse(201, { success: true, message: 'Grade recorded; answer evaluated', data: { role, marking_status: service.MARKING_STATUS.EVALUATED } });
+  } catch (error) {
+    console.error('SubmitBlindGrade Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to submit grade', error: error.message });
+  }
+}
+
+// 3. Get Moderation Queue (answers whose two grades differ by more than the threshold)
+async function getModerationQueue(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+    if (!isDoubleBlind(exam)) return createResponse(400, { success: false, message: 'The exam does not use double-blind grading' });
+
+    const data = await service.getModerationQueue(exam);
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetModerationQueue Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get moderation queue', error: error.message });
+  }
+}
+
+// 4. Moderate Answer (a third teacher sets the final marks)
+async function moderateAnswer(event) {
+  try {
+    const answerId = event.pathParameters?.answerId;
+    if (!answerId) return createResponse(400, { success: false, message: 'answerId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+    const moderatorId = event.user?.userId;
+    if (!moderatorId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const loaded = await loadMarkableAnswer(answerId);
+    if (loaded.error) return loaded.error;
+
+    const grades = await service.getAnswerGrades(answerId);
+    const status = service.getMarkingStatus(loaded.answer, grades);
+    if (status !== service.MARKING_STATUS.AWAITING_MODERATION) {
+      return createResponse(409, { success: false, message: `Answer is not awaiting moderation (${status})` });
+    }
+    const graderIds = service.getBlindGrades(grades).map(g => g.grader_id);
+    if (graderIds.includes(moderatorId)) {
+      return createResponse(403, { success: false, message: 'A grader cannot moderate their own answer' });
+    }
+
+    const { marks_awarded, is_correct, rubric_scores, feedback } = JSON.parse(event.body);
+    const evaluation = await writeFinalGrade(event, answerId, { marks_awarded, is_correct, rubric_scores, feedback }, [...graderIds, moderatorId]);
+    if (evaluation.statusCode !== 200) return evaluation;
+
+    const answer = JSON.parse(evaluation.body).data;
+    await service.recordGrade(loaded.answer, moderatorId, service.GRADE_ROLE.MODERATOR, answer);
+
+    return createResponse(200, { success: true, message: 'Answer moderated', data: answer });
+  } catch (error) {
+    console.error('ModerateAnswer Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to moderate answer', error: error.message });
+  }
+}
+
+module.exports = {
+  getGradingQueue,
+  submitBlindGrade,
+  getModerationQueue,
+  moderateAnswer
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const blindGradingController = require('./controller');
+const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// Double-Blind Grading & Moderation Routes
+router.get('/exams/:examId/queue', requirePermission('canGradeAssignments'), handler(blindGradingController.getGradingQueue));
+router.post('/answers/:answerId/grades', requirePermission('canGradeAssignments'), handler(blindGradingController.submitBlindGrade));
+router.get('/exams/:examId/moderation', requirePermission('canGradeAssignments'), handler(blindGradingController.getModerationQueue));
+router.post('/answers/:answerId/moderate', requirePermission('canGradeAssignments'), handler(blindGradingController.moderateAnswer));
+
+module.exports = router;
@@ -0,0 +1,241 @@
+// Business Logic for Double-Blind Grading and Moderation
+
+const AWS = require('aws-sdk');
+const answersService = require('../answers/service');
+const { resolveGradingPolicy, isDoubleBlind } = require('../exams/grading-policy');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  GRADES: process.env.BLIND_GRADES_TABLE || 'TestBlindGrades',
+  ANSWERS: process.env.ANSWERS_TABLE || 'TestAnswers'
+};
+
+const GRADE_ROLE = {
+  FIRST: 'first',
+  SECOND: 'second',
+  MODERATOR: 'moderator'
+};
+
+const MARKING_STATUS = {
+  AWAITING_FIRST: 'awaiting_first',
+  AWAITING_SECOND: 'awaiting_second',
+  AWAITING_MODERATION: 'awaiting_moderation',
+  EVALUATED: 'evaluated'
+};
+
+// Question types marked by two graders in double-blind exams
+const DOUBLE_MARKED_TYPES = ['descriptive'];
+
+// Answers whose marks may only come from the blind grading flow, never a single teacher's evaluation
+const isDoubleMarked = (exam, entry) => isDoubleBlind(exam) && !!entry && DOUBLE_MARKED_TYPES.includes(entry.question.type);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const queryAll = async (params) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// ============ GRADES ============
+const getAnswerGrades = async (answerId) => {
+  return queryAll({
+    TableName: TABLES.GRADES,
+    IndexName: 'answerId-index',
+    KeyConditionExpression: 'answer_id = :answerId',
+    ExpressionAttributeValues: { ':answerId': answerId }
+  });
+};
+
+const getExamGrades = async (examId) => {
+  return queryAll({
+    TableName: TABLES.GRADES,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+/**
+ * Store one grader's marks for an answer; the key allows a grader a single grade per answer.
+ * First and second grades also count up blind_grade_count on the answer in the same transaction,
+ * so two graders racing cannot leave a third blind grade
+ * @returns {Object|null} The stored grade, or null when this grader already graded the answer or it already has two grades
+ */
+const recordGrade = async (answer, graderId, role, grade) => {
+  const item = {
+    grade_id: `${answer.answer_id}#${graderId}`,
+    answer_id: answer.answer_id,
+    exam_id: answer.exam_id,
+    question_id: answer.question_id,
+    attempt_id: answer.attempt_id || null,
+    grader_id: graderId,
+    role,
+    marks_awarded: grade.marks_awarded,
+    is_correct: grade.is_correct,
+    rubric_evaluation: grade.rubric_evaluation || null,
+    feedback: grade.feedback || null,
+    created_at: new Date().toISOString()
+  };
+
+  const put = { TableName: TABLES.GRADES, Item: item, ConditionExpression: 'attribute_not_exists(grade_id)' };
+
+  try {
+    if (role === GRADE_ROLE.MODERATOR) {
+      await dynamoDB.put(put).promise();
+      return item;
+    }
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        { Put: put },
+        {
+          Update: {
+            TableName: TABLES.ANSWERS,
+            Key: { answer_id: answer.answer_id },
+            // Answers graded before the counter existed start from the grades already on record
+            UpdateExpression: 'SET blind_grade_count = if_not_exists(blind_grade_count, :recorded) + :one',
+            ConditionExpression: 'attribute_not_exists(blind_grade_count) OR blind_grade_count < :two',
+            ExpressionAttributeValues: { ':recorded': role === GRADE_ROLE.FIRST ? 0 : 1, ':one': 1, ':two': 2 }
+          }
+        }
+      ]
+    }).promise();
+    return item;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') return null;
+    throw error;
+  }
+};
+
+// ============ RECONCILIATION ============
+const getBlindGrades = (grades) => grades
+  .filter(g => g.role !== GRADE_ROLE.MODERATOR)
+  .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+const getMarkingStatus = (answer, grades) => {
+  if (answer.status === 'evaluated') return MARKING_STATUS.EVALUATED;
+  const blind = getBlindGrades(grades);
+  if (blind.length === 0) return MARKING_STATUS.AWAITING_FIRST;
+  if (blind.length === 1) return MARKING_STATUS.AWAITING_SECOND;
+  return MARKING_STATUS.AWAITING_MODERATION;
+};
+
+/**
+ * Compare the two blind grades: close enough grades are averaged, others go to a moderator
+ * @param {Array} grades - The answer's first and second grades
+ * @param {Object} exam - Exam whose grading_policy sets the moderation threshold
+ * @returns {Object} { difference, needs_moderation, marks_awarded, is_correct, feedback }
+ */
+const reconcileGrades = (grades, exam) => {
+  const [first, second] = getBlindGrades(grades);
+  const difference = round2(Math.abs(first.marks_awarded - second.marks_awarded));
+
+  return {
+    difference,
+    needs_moderation: difference > resolveGradingPolicy(exam).moderation_threshold,
+    marks_awarded: round2((first.marks_awarded + second.marks_awarded) / 2),
+    is_correct: first.is_correct === true && second.is_correct === true,
+    feedback: [first.feedback, second.feedback].filter(Boolean).join('\n\n') || null
+  };
+};
+
+// ============ QUEUES ============
+// Pending descriptive answers from closed attempts, with the question each was answered against
+const getMarkableAnswers = async (examId) => {
+  const [answers, attempts] = await Promise.all([
+    answersService.getExamAnswers(examId),
+    answersService.getExamAttempts(examId)
+  ]);
+
+  const refreshedAttempts = await Promise.all(attempts.map(a => answersService.refreshAttempt(a)));
+  const closedAttempts = new Map(refreshedAttempts.filter(a => !answersService.isAttemptOpen(a)).map(a => [a.attempt_id, a]));
+
+  const entriesByAttempt = new Map();
+  const markable = [];
+  for (const answer of answers.filter(a => a.status === 'pending')) {
+    const attempt = closedAttempts.get(answer.attempt_id);
+    if (!attempt) continue;
+    if (!entriesByAttempt.has(attempt.attempt_id)) {
+      const questionSet = await answersService.getAttemptQuestionSet(attempt);
+      entriesByAttempt.set(attempt.attempt_id, new Map(questionSet.map(entry => [entry.question_id, entry])));
+    }
+    const entry = entriesByAttempt.get(attempt.attempt_id).get(answer.question_id);
+    if (entry && DOUBLE_MARKED_TYPES.includes(entry.question.type)) markable.push({ answer, entry });
+  }
+  return markable;
+};
+
+const groupByAnswer = (grades) => {
+  const byAnswer = new Map();
+  grades.forEach(grade => {
+    if (!byAnswer.has(grade.answer_id)) byAnswer.set(grade.answer_id, []);
+    byAnswer.get(grade.answer_id).push(grade);
+  });
+  return byAnswer;
+};
+
+/**
+ * Answers a grader still has to mark; other graders' marks are never included
+ * @returns {Array} [{ answer_id, attempt_id, question_id, question_text, marks, answer_text, marking_status }]
+ */
+const getGraderQueue = async (examId, graderId) => {
+  const [markable, grades] = await Promise.all([getMarkableAnswers(examId), getExamGrades(examId)]);
+  const gradesByAnswer = groupByAnswer(grades);
+
+  return markable
+    .filter(({ answer }) => {
+      const answerGrades = gradesByAnswer.get(answer.answer_id) || [];
+      return getBlindGrades(answerGrades).length < 2 && !answerGrades.some(g => g.grader_id === graderId);
+    })
+    .map(({ answer, entry }) => ({
+      answer_id: answer.answer_id,
+      attempt_id: answer.attempt_id,
+      question_id: answer.question_id,
+      question_text: entry.question.question_text,
+      marks: entry.marks,
+      answer_text: answer.answer_text,
+      marking_status: getMarkingStatus(answer, gradesByAnswer.get(answer.answer_id) || [])
+    }));
+};
+
+// Answers whose two grades differ by more than the exam's threshold, with both grades for the moderator
+const getModerationQueue = async (exam) => {
+  const [markable, grades] = await Promise.all([getMarkableAnswers(exam.exam_id), getExamGrades(exam.exam_id)]);
+  const gradesByAnswer = groupByAnswer(grades);
+
+  return markable
+    .filter(({ answer }) => getMarkingStatus(answer, gradesByAnswer.get(answer.answer_id) || []) === MARKING_STATUS.AWAITING_MODERATION)
+    .map(({ answer, entry }) => {
+      const answerGrades = gradesByAnswer.get(answer.answer_id);
+      return {
+        answer_id: answer.answer_id,
+        attempt_id: answer.attempt_id,
+        question_id: answer.question_id,
+        question_text: entry.question.question_text,
+        marks: entry.marks,
+        answer_text: answer.answer_text,
+        difference: reconcileGrades(answerGrades, exam).difference,
+        grades: getBlindGrades(answerGrades)
+      };
+    });
+};
+
+module.exports = {
+  GRADE_ROLE,
+  MARKING_STATUS,
+  DOUBLE_MARKED_TYPES,
+  isDoubleMarked,
+  getAnswerGrades,
+  recordGrade,
+  getBlindGrades,
+  getMarkingStatus,
+  reconcileGrades,
+  getGraderQueue,
+  getModerationQueue
+};
@@ -0,0 +1,111 @@
+// AI Grading Providers (propose marks and feedback for written answers)
+// AI_GRADING_PROVIDER picks the provider: 'claude' (default) or 'stub' for local runs and tests
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODEL = 'claude-3-5-haiku-20241022';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+let anthropic = null;
+const getClient = () => {
+  if (!anthropic) anthropic = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+  return anthropic;
+};
+
+const buildPrompt = ({ question, answerText, maxMarks }) => {
+  const rubric = question.rubric
+    ? `Rubric (pick exactly one level per criterion):\n${JSON.stringify(question.rubric.criteria, null, 2)}`
+    : `Award between 0 and ${maxMarks} marks.`;
+  const format = question.rubric
+    ? '{ "rubric_scores": [{ "criterion_id": "...", "level_id": "...", "comment": "..." }], "is_correct": true | false, "feedback": "...", "confidence": 0.0-1.0 }'
+    : '{ "marks_awarded": number, "is_correct": true | false, "feedback": "...", "confidence": 0.0-1.0 }';
+
+  return `You are helping a teacher grade a student's ${question.type} answer. Your grade is a proposal the teacher will review.
+
+Question (${maxMarks} marks):
+${question.question_text}
+
+Model answer:
+${question.correct_answer || 'Not provided'}
+
+Marking notes:
+${question.explanation || 'Not provided'}
+
+${rubric}
+
+Student answer:
+${answerText || '(blank)'}
+
+Write feedback addressed to the student. Return ONLY valid JSON in this exact format:
+${format}`;
+};
+
+const claudeProvider = {
+  name: 'claude',
+  get model() {
+    return process.env.AI_GRADING_MODEL || DEFAULT_MODEL;
+  },
+  propose: async (request) => {
+    const message = await getClient().messages.create({
+      model: claudeProvider.model,
+      max_tokens: 1000,
+      messages: [{ role: 'user', content: buildPrompt(request) }]
+    });
+    const text = message.content[0].text;
+    const cleanJson = text.replace(/```json?\s*|`*\s*```/g, '').trim();
+    return JSON.parse(cleanJson);
+  }
+};
+
+const tokenize = (text) => new Set(String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+
+// Deterministic stand-in: scores by how many words of the model answer the student used
+const stubProvider = {
+  name: 'stub',
+  model: 'keyword-overlap',
+  propose: async ({ question, answerText, maxMarks }) => {
+    const expected = tokenize(question.correct_answer);
+    const given = tokenize(answerText);
+    const overlap = expected.size > 0 ? [...expected].filter(word => given.has(word)).length / expected.size : 0;
+    const proposal = {
+      is_correct: overlap === 1,
+      feedback: `Your answer covers ${Math.round(overlap * 100)}% of the key terms in the model answer.`,
+      confidence: 0.5
+    };
+
+    if (question.rubric) {
+      proposal.rubric_scores = question.rubric.criteria.map(criterion => {
+        const levels = [...criterion.levels].sort((a, b) => a.points - b.points);
+        const level = levels[Math.round(overlap * (levels.length - 1))];
+        return { criterion_id: criterion.criterion_id, level_id: level.level_id, comment: null };
+      });
+    } else {
+      proposal.marks_awarded = round2(overlap * maxMarks);
+    }
+    return proposal;
+  }
+};
+
+const PROVIDERS = { claude: claudeProvider, stub: stubProvider };
+
+/**
+ * Provider used to propose grades
+ * @param {string} name - Provider name, defaults to AI_GRADING_PROVIDER
+ * @returns {Object} { name, model, propose({ question, answerText, maxMarks }) }
+ */
+const getGradingProvider = (name = process.env.AI_GRADING_PROVIDER || 'claude') => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown AI grading provider: ${name}`);
+  return provider;
+};
+
+// Lets tests plug in their own provider
+const registerGradingProvider = (name, provider) => {
+  PROVIDERS[name] = provider;
+};
+
+module.exports = {
+  getGradingProvider,
+  registerGradingProvider
+};
@@ -73,6 +73,7 @@ async function enrollInCourse(event) {
       courseId,
       examId,
       bundleId,
+      batchId, // class group used for batch leaderboards
       enrollmentType = 'course' // course, exam, or bundle
     } = JSON.parse(event.body);
 
@@ -167,6 +168,7 @@ if (existingEnrollment.Items && existingEnrollment.Items.length > 0) {
       course_id: courseId || null,
       exam_id: examId || null,
       bundle_id: bundleId || null,
+      batch_id: batchId || null,
       enrollment_type: enrollmentType,
       enrollment_date: timestamp,
       progress: 0,
@@ -787,7 +789,7 @@ async function bulkEnrollUsers(event) {
       });
     }
 
-    const { userIds, courseId, examId } = JSON.parse(event.body);
+    const { userIds, courseId, examId, batchId } = JSON.parse(event.body);
 
     if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
       return createResponse(400, {
@@ -840,6 +842,7 @@ async function bulkEnrollUsers(event) {
           course_id: courseId || null,
           exam_id: examId || null,
           bundle_id: null,
+          batch_id: batchId || null,
           enrollment_type: courseId ? 'course' : 'exam',
           enrollment_date: timestamp,
           progress: 0,
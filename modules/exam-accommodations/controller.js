@@ -0,0 +1,266 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const service = require('./service');
+const answersService = require('../answers/service');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const EXAM_ACCOMMODATIONS_TABLE = process.env.EXAM_ACCOMMODATIONS_TABLE || 'TestExamAccommodations';
+const AUDIT_LOGS_TABLE = process.env.AUDIT_LOGS_TABLE || 'TestAuditLogs';
+
+const SETTING_FIELDS = ['time_multiplier', 'extra_minutes', 'start_time', 'end_time'];
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// Helper function to create audit log
+const createAuditLog = async (userId, action, details, event) => {
+  try {
+    const ipAddress = event?.headers?.['X-Forwarded-For'] ||
+                     event?.headers?.['x-forwarded-for'] ||
+                     'Unknown';
+
+    await dynamoDB.put({
+      TableName: AUDIT_LOGS_TABLE,
+      Item: {
+        log_id: uuidv4(),
+        user_id: userId,
+        action: action,
+        module: 'ExamAccommodation',
+        details: details,
+        ip_address: ipAddress,
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+      }
+    }).promise();
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
+const pickSettings = (source) => {
+  const settings = {};
+  SETTING_FIELDS.forEach(field => {
+    if (source[field] !== undefined) settings[field] = source[field];
+  });
+  if (settings.start_time) settings.start_time = new Date(settings.start_time).toISOString();
+  if (settings.end_time) settings.end_time = new Date(settings.end_time).toISOString();
+  return settings;
+};
+
+// Keeps a running attempt's deadline in line with the student's current accommodation
+const syncOpenAttempt = async (exam, userId) => {
+  const attempt = await answersService.getOpenAttempt(exam.exam_id, userId);
+  if (!attempt) return null;
+  const accommodation = await service.getActiveAccommodation(exam.exam_id, userId);
+  try {
+    return await answersService.updateAttemptDeadline(attempt, service.applyAccommodation(exam, accommodation));
+  } catch (error) {
+    // Submitted in the meantime
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+    return null;
+  }
+};
+
+const setStatus = async (accommodation, status, actorId, now) => {
+  await dynamoDB.update({
+    TableName: EXAM_ACCOMMODATIONS_TABLE,
+    Key: { accommodation_id: accommodation.accommodation_id },
+    UpdateExpression: 'SET #status = :status, revoked_by = :actor, revoked_at = :now, updated_at = :now',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':status': status, ':actor': actorId, ':now': now }
+  }).promise();
+};
+
+// 1. Grant Accommodation to one student or a group of students
+async function grantAccommodation(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const body = JSON.parse(event.body);
+    const userIds = [...new Set(body.user_ids || (body.user_id ? [body.user_id] : []))];
+    if (userIds.length === 0) return createResponse(400, { success: false, message: 'user_id or user_ids is required' });
+    if (!body.reason) return createResponse(400, { success: false, message: 'reason is required' });
+
+    const validationError = service.validateAccommodation(body);
+    if (validationError) return createResponse(400, { success: false, message: validationError });
+
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    const actorId = event.user?.userId || null;
+    const now = new Date().toISOString();
+    const groupId = userIds.length > 1 ? uuidv4() : null;
+    const settings = pickSettings(body);
+    const granted = [];
+
+    for (const userId of userIds) {
+      // A new grant replaces the student's earlier one for this exam
+      const previous = await service.getActiveAccommodation(examId, userId);
+      if (previous) await setStatus(previous, service.ACCOMMODATION_STATUS.REVOKED, actorId, now);
+
+      const item = {
+        accommodation_id: uuidv4(),
+        exam_id: examId,
+        user_id: userId,
+        group_id: groupId,
+        time_multiplier: 1,
+        extra_minutes: 0,
+        start_time: null,
+        end_time: null,
+        ...settings,
+        reason: body.reason,
+        status: service.ACCOMMODATION_STATUS.ACTIVE,
+        granted_by: actorId,
+        created_at: now,
+        updated_at: now
+      };
+
+      await dynamoDB.put({ TableName: EXAM_ACCOMMODATIONS_TABLE, Item: item }).promise();
+      await createAuditLog(actorId, 'ACCOMMODATION_GRANTED', {
+        accommodationId: item.accommodation_id,
+        examId,
+        studentId: userId,
+        settings,
+        reason: body.reason,
+        replaces: previous ? previous.accommodation_id : null
+      }, event);
+      await syncOpenAttempt(exam, userId);
+
+      granted.push(item);
+    }
+
+    return createResponse(201, { success: true, message: 'Accommodation granted', data: granted, count: granted.length });
+
+  } catch (error) {
+    console.error('GrantAccommodation Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to grant accommodation', error: error.message });
+  }
+}
+
+// 2. Get Accommodations for an Exam (optionally one student's)
+async function getAccommodations(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { userId, status } = event.queryStringParameters || {};
+
+    const items = await service.getExamAccommodations(examId, userId || null);
+    const data = status ? items.filter(item => item.status === status) : items;
+
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetAccommodations Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get accommodations', error: error.message });
+  }
+}
+
+// 3. Update Accommodation
+async function updateAccommodation(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const accommodationId = event.pathParameters?.accommodationId;
+    if (!examId || !accommodationId) return createResponse(400, { success: false, message: 'examId and accommodationId are required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const updates = JSON.parse(event.body);
+    if (!updates.reason) return createResponse(400, { success: false, message: 'reason is required' });
+
+    const existing = await service.getAccommodationById(accommodationId);
+    if (!existing || existing.exam_id !== examId) return createResponse(404, { success: false, message: 'Accommodation not found' });
+    if (existing.status !== service.ACCOMMODATION_STATUS.ACTIVE) {
+      return createResponse(409, { success: false, message: `Accommodation is ${existing.status}` });
+    }
+
+    const settings = pickSettings(updates);
+    const validationError = service.validateAccommodation({ ...existing, ...settings }, true);
+    if (validationError) return createResponse(400, { success: false, message: validationError });
+
+    const now = new Date().toISOString();
+    let updateExpression = 'SET reason = :reason, updated_at = :updated_at';
+    const expressionAttributeValues = { ':reason': updates.reason, ':updated_at': now };
+    Object.keys(settings).forEach(key => {
+      updateExpression += `, ${key} = :${key}`;
+      expressionAttributeValues[`:${key}`] = settings[key];
+    });
+
+    const result = await dynamoDB.update({
+      TableName: EXAM_ACCOMMODATIONS_TABLE,
+      Key: { accommodation_id: accommodationId },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    const before = {};
+    Object.keys(settings).forEach(key => { before[key] = existing[key]; });
+    await createAuditLog(event.user?.userId || null, 'ACCOMMODATION_UPDATED', {
+      accommodationId,
+      examId,
+      studentId: existing.user_id,
+      before,
+      after: settings,
+      reason: updates.reason
+    }, event);
+
+    const exam = await answersService.getExam(examId);
+    if (exam) await syncOpenAttempt(exam, existing.user_id);
+
+    return createResponse(200, { success: true, message: 'Accommodation updated', data: result.Attributes });
+
+  } catch (error) {
+    console.error('UpdateAccommodation Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to update accommodation', error: error.message });
+  }
+}
+
+// 4. Revoke Accommodation
+async function revokeAccommodation(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const accommodationId = event.pathParameters?.accommodationId;
+    if (!examId || !accommodationId) return createResponse(400, { success: false, message: 'examId and accommodationId are required' });
+
+    const existing = await service.getAccommodationById(accommodationId);
+    if (!existing || existing.exam_id !== examId) return createResponse(404, { success: false, message: 'Accommodation not found' });
+    if (existing.status !== service.ACCOMMODATION_STATUS.ACTIVE) {
+      return createResponse(409, { success: false, message: `Accommodation is already ${existing.status}` });
+    }
+
+    const actorId = event.user?.userId || null;
+    await setStatus(existing, service.ACCOMMODATION_STATUS.REVOKED, actorId, new Date().toISOString());
+    await createAuditLog(actorId, 'ACCOMMODATION_REVOKED', {
+      accommodationId,
+      examId,
+      studentId: existing.user_id,
+      reason: event.queryStringParameters?.reason || null
+    }, event);
+
+    const exam = await answersService.getExam(examId);
+    if (exam) await syncOpenAttempt(exam, existing.user_id);
+
+    return createResponse(200, { success: true, message: 'Accommodation revoked' });
+
+  } catch (error) {
+    console.error('RevokeAccommodation Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to revoke accommodation', error: error.message });
+  }
+}
+
+module.exports = {
+  grantAccommodation,
+  getAccommodations,
+  updateAccommodation,
+  revokeAccommodation
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const examAccommodationsController = require('./controller');
+const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// Exam Accommodations Routes
+router.post('/exams/:examId/accommodations', requirePermission('canCreateQuizzes'), handler(examAccommodationsController.grantAccommodation));
+router.get('/exams/:examId/accommodations', requirePermission('canCreateQuizzes'), handler(examAccommodationsController.getAccommodations));
+router.put('/exams/:examId/accommodations/:accommodationId', requirePermission('canCreateQuizzes'), handler(examAccommodationsController.updateAccommodation));
+router.delete('/exams/:examId/accommodations/:accommodationId', requirePermission('canCreateQuizzes'), handler(examAccommodationsController.revokeAccommodation));
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// Business Logic for Per-Student Exam Accommodations
+
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  ACCOMMODATIONS: process.env.EXAM_ACCOMMODATIONS_TABLE || 'TestExamAccommodations'
+};
+
+const ACCOMMODATION_STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value));
+
+// ============ VALIDATION ============
+/**
+ * Validate accommodation settings such as { time_multiplier: 1.5, extra_minutes: 10, start_time, end_time }
+ * @param {Object} settings - Accommodation fields from the request
+ * @param {boolean} partial - Whether fields may be omitted (updates)
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateAccommodation = (settings, partial = false) => {
+  const { time_multiplier, extra_minutes, start_time, end_time } = settings;
+
+  if (time_multiplier !== undefined && (!isNumber(time_multiplier) || time_multiplier < 1 || time_multiplier > 5)) {
+    return 'time_multiplier must be a number between 1 and 5';
+  }
+  if (extra_minutes !== undefined && (!isNumber(extra_minutes) || extra_minutes < 0)) {
+    return 'extra_minutes must be a non-negative number';
+  }
+  if ((start_time !== undefined && start_time !== null && !isDate(start_time))
+    || (end_time !== undefined && end_time !== null && !isDate(end_time))) {
+    return 'start_time and end_time must be valid dates';
+  }
+  if (start_time && end_time && new Date(start_time) >= new Date(end_time)) {
+    return 'start_time must be before end_time';
+  }
+  if (!partial && time_multiplier === undefined && extra_minutes === undefined && !start_time && !end_time) {
+    return 'Provide at least one of time_multiplier, extra_minutes, start_time or end_time';
+  }
+  return null;
+};
+
+// ============ SITTING ============
+/**
+ * The exam as one student sits it: their own window and duration, with the extra time
+ * also pushing back the closing cap so it is not lost near the end of the window
+ * @param {Object} exam - Exam record
+ * @param {Object|null} accommodation - The student's active accommodation
+ * @returns {Object} Exam with effective start_time, end_time, duration_minutes and deadline_extension_minutes
+ */
+const applyAccommodation = (exam, accommodation) => {
+  if (!accommodation) return exam;
+
+  const baseMinutes = Number(exam.duration_minutes) || 0;
+  const durationMinutes = baseMinutes * (accommodation.time_multiplier || 1) + (accommodation.extra_minutes || 0);
+
+  return {
+    ...exam,
+    start_time: accommodation.start_time || exam.start_time,
+    end_time: accommodation.end_time || exam.end_time,
+    duration_minutes: durationMinutes,
+    deadline_extension_minutes: durationMinutes - baseMinutes,
+    accommodation_id: accommodation.accommodation_id
+  };
+};
+
+// ============ ACCOMMODATIONS ============
+const getAccommodationById = async (accommodationId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLES.ACCOMMODATIONS,
+    Key: { accommodation_id: accommodationId }
+  }).promise();
+  return result.Item || null;
+};
+
+const getExamAccommodations = async (examId, userId = null) => {
+  const params = {
+    TableName: TABLES.ACCOMMODATIONS,
+    IndexName: 'examUser-index',
+    KeyConditionExpression: userId ? 'exam_id = :examId AND user_id = :userId' : 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  };
+  if (userId) params.ExpressionAttributeValues[':userId'] = userId;
+
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// The most recently granted active accommodation for a student, or null
+const getActiveAccommodation = async (examId, userId) => {
+  const items = await getExamAccommodations(examId, userId);
+  const active = items
+    .filter(item => item.status === ACCOMMODATION_STATUS.ACTIVE)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return active[0] || null;
+};
+
+module.exports = {
+  ACCOMMODATION_STATUS,
+  validateAccommodation,
+  applyAccommodation,
+  getAccommodationById,
+  getExamAccommodations,
+  getActiveAccommodation
+};
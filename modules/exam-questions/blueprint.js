@@ -0,0 +1,80 @@
+// Exam Blueprint Rules & Question Drawing
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { seededShuffle } = require('../answers/shuffle');
+
+// shared: one draw written to the exam's question mappings; per_attempt: a fresh draw for every attempt
+const BLUEPRINT_MODES = ['shared', 'per_attempt'];
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+/**
+ * Validate a blueprint such as
+ * { mode: 'shared', rules: [{ chapter_ids: ['CH_1'], difficulty_level: 'easy', type: 'mcq', marks: 1, count: 10 }] }
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateBlueprint = (blueprint) => {
+  if (!blueprint || typeof blueprint !== 'object') return 'blueprint is required';
+  if (!BLUEPRINT_MODES.includes(blueprint.mode)) return `Invalid mode, must be one of: ${BLUEPRINT_MODES.join(', ')}`;
+  if (!Array.isArray(blueprint.rules) || blueprint.rules.length === 0) return 'blueprint.rules must list at least one rule';
+
+  for (let i = 0; i < blueprint.rules.length; i++) {
+    const rule = blueprint.rules[i];
+    const label = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+    if (!Array.isArray(rule.chapter_ids) || rule.chapter_ids.length === 0) return `${label}.chapter_ids must list at least one chapter`;
+    if (!Number.isInteger(rule.count) || rule.count < 1) return `${label}.count must be a positive integer`;
+    if (rule.difficulty_level !== undefined && !DIFFICULTY_LEVELS.includes(rule.difficulty_level)) {
+      return `${label}.difficulty_level must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+    }
+    if (rule.type !== undefined && !QUESTION_TYPES.includes(rule.type)) {
+      return `${label}.type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+    if (rule.marks !== undefined && (typeof rule.marks !== 'number' || rule.marks < 0)) {
+      return `${label}.marks must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+// Whether a question from the rule's chapters satisfies the rule's filters
+const matchesRule = (rule, question) => question.status === 'active'
+  && (rule.difficulty_level === undefined || question.difficulty_level === rule.difficulty_level)
+  && (rule.type === undefined || question.type === rule.type)
+  && (rule.marks === undefined || Number(question.marks) === rule.marks);
+
+/**
+ * Draw questions for every rule without repeating a question across rules
+ * @param {Array} rules - Blueprint rules
+ * @param {Array} pools - Candidate questions per rule (same order as rules)
+ * @param {string} seed - Seed for the draw; the same seed and pools give the same questions
+ * @returns {Object} { questions, shortfalls } where shortfalls lists rules the pool could not fill
+ */
+const drawFromPools = (rules, pools, seed) => {
+  const chosen = new Set();
+  const questions = [];
+  const shortfalls = [];
+
+  rules.forEach((rule, index) => {
+    const candidates = seededShuffle(
+      pools[index].filter(question => matchesRule(rule, question) && !chosen.has(question.question_id))
+        .sort((a, b) => a.question_id.localeCompare(b.question_id)),
+      `${seed}:rule:${index}`
+    );
+    const picked = candidates.slice(0, rule.count);
+    picked.forEach(question => {
+      chosen.add(question.question_id);
+      questions.push(question);
+    });
+    if (picked.length < rule.count) {
+      shortfalls.push({ rule: index, requested: rule.count, available: picked.length });
+    }
+  });
+
+  return { questions, shortfalls };
+};
+
+module.exports = {
+  BLUEPRINT_MODES,
+  validateBlueprint,
+  drawFromPools
+};
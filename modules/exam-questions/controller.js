@@ -1,9 +1,12 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const service = require('./service');
+const { validateBlueprint } = require('./blueprint');
 
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 
 const EXAM_QUESTIONS_TABLE = process.env.EXAM_QUESTIONS_TABLE || 'TestExamQuestions';
+const EXAMS_TABLE = process.env.EXAMS_TABLE || 'TestExams';
 
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -16,6 +19,9 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
+// A per-question override of the exam's negative marking; null clears it
+const isValidNegativeMarks = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
 // 1. Add Question to Exam
 async function addQuestionToExam(event) {
   try {
@@ -23,8 +29,11 @@ async function addQuestionToExam(event) {
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
     if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
 
-    const { question_id, order_no = null, marks = null } = JSON.parse(event.body);
+    const { question_id, order_no = null, marks = null, negative_marks = null } = JSON.parse(event.body);
     if (!question_id) return createResponse(400, { success: false, message: 'question_id is required' });
+    if (!isValidNegativeMarks(negative_marks)) {
+      return createResponse(400, { success: false, message: 'negative_marks must be a non-negative number' });
+    }
 
     const now = new Date().toISOString();
     const mappingId = uuidv4();
@@ -35,6 +44,7 @@ async function addQuestionToExam(event) {
       question_id,
       order_no,
       marks,
+      negative_marks,
       created_at: now,
       updated_at: now
     };
@@ -84,7 +94,10 @@ async function updateExamQuestion(event) {
 
     const updates = JSON.parse(event.body);
 
-    const allowedFields = ['order_no', 'marks'];
+    const allowedFields = ['order_no', 'marks', 'negative_marks'];
+    if (updates.negative_marks !== undefined && !isValidNegativeMarks(updates.negative_marks)) {
+      return createResponse(400, { success: false, message: 'negative_marks must be a non-negative number' });
+    }
 
     let updateExpression = 'SET updated_at = :updated_at';
     const expressionAttributeNames = {};
@@ -137,50 +150,136 @@ async function removeQuestionFromExam(event) {
   }
 }
 
-// 5. Shuffle Exam Questions
+// 5. Shuffle Exam Questions (per attempt)
+// Each attempt gets its own seeded order when it starts; the shared order_no is left untouched
 async function shuffleExamQuestions(event) {
   try {
     const examId = event.pathParameters?.examId;
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
 
-    // Get all questions for exam
+    const { shuffle_questions = true, shuffle_options = true } = event.body ? JSON.parse(event.body) : {};
+
     const params = {
-      TableName: EXAM_QUESTIONS_TABLE,
-      IndexName: 'examId-index',
-      KeyConditionExpression: 'exam_id = :examId',
-      ExpressionAttributeValues: { ':examId': examId }
+      TableName: EXAMS_TABLE,
+      Key: { exam_id: examId },
+      UpdateExpression: 'SET shuffle_questions = :shuffleQuestions, shuffle_options = :shuffleOptions, updated_at = :updated_at',
+      ConditionExpression: 'attribute_exists(exam_id)',
+      ExpressionAttributeValues: {
+        ':shuffleQuestions': !!shuffle_questions,
+        ':shuffleOptions': !!shuffle_options,
+        ':updated_at': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
     };
 
-    const result = await dynamoDB.query(params).promise();
+    const result = await dynamoDB.update(params).promise();
 
-    const items = result.Items;
+    return createResponse(200, {
+      success: true,
+      message: 'Per-attempt shuffling updated; attempts started from now on get their own question order',
+      data: result.Attributes
+    });
 
-    // Shuffle array using Fisher-Yates algorithm
-    for (let i = items.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [items[i].order_no, items[j].order_no] = [items[j].order_no, items[i].order_no];
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { success: false, message: 'Exam not found' });
     }
+    console.error('ShuffleExamQuestions Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to shuffle exam questions', error: error.message });
+  }
+}
 
-    // Batch update shuffled order_no
-    const updatePromises = items.map(item => {
-      return dynamoDB.update({
-        TableName: EXAM_QUESTIONS_TABLE,
-        Key: { mapping_id: item.mapping_id },
-        UpdateExpression: 'SET order_no = :order_no, updated_at = :updated_at',
-        ExpressionAttributeValues: {
-          ':order_no': item.order_no,
-          ':updated_at': new Date().toISOString()
-        }
-      }).promise();
-    });
+// 6. Save Exam Blueprint (checks the question pool can fill every rule)
+async function saveBlueprint(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
 
-    await Promise.all(updatePromises);
+    const blueprint = JSON.parse(event.body);
+    const blueprintError = validateBlueprint(blueprint);
+    if (blueprintError) return createResponse(400, { success: false, message: blueprintError });
 
-    return createResponse(200, { success: true, message: 'Exam questions shuffled' });
+    const { shortfalls } = await service.drawBlueprint(blueprint, examId);
+    if (shortfalls.length > 0) {
+      return createResponse(400, { success: false, message: 'Not enough matching questions for some blueprint rules', data: { shortfalls } });
+    }
+
+    const params = {
+      TableName: EXAMS_TABLE,
+      Key: { exam_id: examId },
+      UpdateExpression: 'SET blueprint = :blueprint, updated_at = :updated_at',
+      ConditionExpression: 'attribute_exists(exam_id)',
+      ExpressionAttributeValues: {
+        ':blueprint': { mode: blueprint.mode, rules: blueprint.rules },
+        ':updated_at': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    };
+
+    const result = await dynamoDB.update(params).promise();
+
+    return createResponse(200, { success: true, message: 'Exam blueprint saved', data: result.Attributes });
 
   } catch (error) {
-    console.error('ShuffleExamQuestions Error:', error);
-    return createResponse(500, { success: false, message: 'Failed to shuffle exam questions', error: error.message });
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { success: false, message: 'Exam not found' });
+    }
+    console.error('SaveBlueprint Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to save exam blueprint', error: error.message });
+  }
+}
+
+// 7. Assemble Exam from its shared Blueprint (draws once and writes the question mappings)
+async function assembleFromBlueprint(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { replace = false } = event.body ? JSON.parse(event.body) : {};
+
+    const examResult = await dynamoDB.get({ TableName: EXAMS_TABLE, Key: { exam_id: examId } }).promise();
+    if (!examResult.Item) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    const { blueprint } = examResult.Item;
+    if (!blueprint) return createResponse(400, { success: false, message: 'Exam has no blueprint' });
+    if (blueprint.mode !== 'shared') {
+      return createResponse(400, { success: false, message: 'Per-attempt blueprints are drawn when each attempt starts' });
+    }
+
+    const existing = await service.getExamMappings(examId);
+    if (existing.length > 0 && !replace) {
+      return createResponse(409, { success: false, message: 'Exam already has questions; pass replace: true to redraw them' });
+    }
+
+    const { questions, shortfalls } = await service.drawBlueprint(blueprint, uuidv4());
+    if (shortfalls.length > 0) {
+      return createResponse(400, { success: false, message: 'Not enough matching questions for some blueprint rules', data: { shortfalls } });
+    }
+
+    await Promise.all(existing.map(mapping => dynamoDB.delete({
+      TableName: EXAM_QUESTIONS_TABLE,
+      Key: { mapping_id: mapping.mapping_id }
+    }).promise()));
+
+    const now = new Date().toISOString();
+    const items = questions.map((question, index) => ({
+      mapping_id: uuidv4(),
+      exam_id: examId,
+      question_id: question.question_id,
+      order_no: index + 1,
+      marks: null,
+      negative_marks: null,
+      created_at: now,
+      updated_at: now
+    }));
+
+    await Promise.all(items.map(item => dynamoDB.put({ TableName: EXAM_QUESTIONS_TABLE, Item: item }).promise()));
+
+    return createResponse(201, { success: true, message: 'Exam assembled from blueprint', data: items, count: items.length });
+
+  } catch (error) {
+    console.error('AssembleFromBlueprint Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to assemble exam from blueprint', error: error.message });
   }
 }
 
@@ -189,5 +288,7 @@ module.exports = {
   getExamQuestions,
   updateExamQuestion,
   removeQuestionFromExam,
-  shuffleExamQuestions
+  shuffleExamQuestions,
+  saveBlueprint,
+  assembleFromBlueprint
 };
@@ -1,14 +1,17 @@
 const express = require('express');
 const examQuestionsController = require('./controller');
 const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
 
 const router = express.Router();
 
 // Exam Questions Management Routes
-router.post('/exams/:examId/questions', handler(examQuestionsController.addQuestionToExam));
-router.get('/exams/:examId/questions', handler(examQuestionsController.getExamQuestions));
-router.put('/:mappingId', handler(examQuestionsController.updateExamQuestion));
-router.delete('/:mappingId', handler(examQuestionsController.removeQuestionFromExam));
-router.post('/exams/:examId/questions/shuffle', handler(examQuestionsController.shuffleExamQuestions));
+router.post('/exams/:examId/questions', requirePermission('canCreateQuizzes'), handler(examQuestionsController.addQuestionToExam));
+router.get('/exams/:examId/questions', requirePermission('canCreateQuizzes'), handler(examQuestionsController.getExamQuestions));
+router.put('/:mappingId', requirePermission('canCreateQuizzes'), handler(examQuestionsController.updateExamQuestion));
+router.delete('/:mappingId', requirePermission('canCreateQuizzes'), handler(examQuestionsController.removeQuestionFromExam));
+router.post('/exams/:examId/questions/shuffle', requirePermission('canCreateQuizzes'), handler(examQuestionsController.shuffleExamQuestions));
+router.put('/exams/:examId/blueprint', requirePermission('canCreateQuizzes'), handler(examQuestionsController.saveBlueprint));
+router.post('/exams/:examId/blueprint/assemble', requirePermission('canCreateQuizzes'), handler(examQuestionsController.assembleFromBlueprint));
 
 module.exports = router;
\ No newline at end of file
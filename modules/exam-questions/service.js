@@ -0,0 +1,151 @@
+// Business Logic for Exam Question Sets
+
+const AWS = require('aws-sdk');
+const { OPTION_TYPES } = require('../questions/types');
+const { drawFromPools } = require('./blueprint');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  EXAM_QUESTIONS: process.env.EXAM_QUESTIONS_TABLE || 'TestExamQuestions',
+  QUESTIONS: process.env.QUESTIONS_TABLE || 'TestQuestions',
+  QUESTION_OPTIONS: process.env.QUESTION_OPTIONS_TABLE || 'TestQuestionOptions'
+};
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+
+const queryAll = async (params) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// ============ MAPPINGS ============
+const getExamMappings = async (examId) => {
+  const items = await queryAll({
+    TableName: TABLES.EXAM_QUESTIONS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+  return items.sort((a, b) => (a.order_no || 0) - (b.order_no || 0));
+};
+
+// Every exam mapping that uses a question
+const getQuestionMappings = async (questionId) => {
+  return queryAll({
+    TableName: TABLES.EXAM_QUESTIONS,
+    IndexName: 'questionId-index',
+    KeyConditionExpression: 'question_id = :questionId',
+    ExpressionAttributeValues: { ':questionId': questionId }
+  });
+};
+
+// ============ QUESTIONS ============
+const getQuestionsByIds = async (questionIds) => {
+  const ids = [...new Set(questionIds)];
+  const questions = [];
+
+  for (let i = 0; i < ids.length; i += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [TABLES.QUESTIONS]: { Keys: ids.slice(i, i + BATCH_GET_LIMIT).map(id => ({ question_id: id })) }
+    };
+    // Retry keys DynamoDB left unprocessed under throttling
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchGet({ RequestItems: requestItems }).promise();
+      questions.push(...(result.Responses[TABLES.QUESTIONS] || []));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+
+  return questions;
+};
+
+const getQuestionOptions = async (questionId) => {
+  return queryAll({
+    TableName: TABLES.QUESTION_OPTIONS,
+    IndexName: 'questionId-index',
+    KeyConditionExpression: 'question_id = :questionId',
+    ExpressionAttributeValues: { ':questionId': questionId }
+  });
+};
+
+// ============ QUESTION POOLS ============
+const getQuestionsByChapter = async (chapterId) => {
+  return queryAll({
+    TableName: TABLES.QUESTIONS,
+    IndexName: 'chapterId-index',
+    KeyConditionExpression: 'chapter_id = :chapterId',
+    ExpressionAttributeValues: { ':chapterId': chapterId }
+  });
+};
+
+// Candidate questions for each blueprint rule, loading every chapter once
+const getRulePools = async (rules) => {
+  const chapters = new Map();
+  const loadChapter = (chapterId) => {
+    if (!chapters.has(chapterId)) chapters.set(chapterId, getQuestionsByChapter(chapterId));
+    return chapters.get(chapterId);
+  };
+  return Promise.all(rules.map(async (rule) => (await Promise.all(rule.chapter_ids.map(loadChapter))).flat()));
+};
+
+/**
+ * Draw questions from the Questions table for a blueprint
+ * @param {Object} blueprint - Validated blueprint
+ * @param {string} seed - Seed for the draw (an attempt id for per-attempt draws)
+ * @returns {Object} { questions, shortfalls }
+ */
+const drawBlueprint = async (blueprint, seed) => {
+  const pools = await getRulePools(blueprint.rules);
+  return drawFromPools(blueprint.rules, pools, seed);
+};
+
+// ============ QUESTION SETS ============
+const buildEntry = async (question, overrides = {}) => ({
+  mapping_id: overrides.mapping_id || null,
+  question_id: question.question_id,
+  order_no: overrides.order_no ?? null,
+  marks: overrides.marks ?? question.marks,
+  negative_marks: overrides.negative_marks ?? null,
+  question,
+  options: OPTION_TYPES.includes(question.type) ? await getQuestionOptions(question.question_id) : []
+});
+
+// Loads the exam's mapped questions with their options and effective marks, in exam order
+const getExamQuestionSet = async (examId) => {
+  const mappings = await getExamMappings(examId);
+  const questions = await getQuestionsByIds(mappings.map(m => m.question_id));
+  const questionsById = new Map(questions.map(q => [q.question_id, q]));
+
+  return Promise.all(mappings
+    .filter(mapping => questionsById.has(mapping.question_id))
+    .map(mapping => buildEntry(questionsById.get(mapping.question_id), mapping)));
+};
+
+// Question set for explicitly chosen questions (per-attempt draws), in the given order
+const getQuestionSetByIds = async (questionIds, marksById = {}) => {
+  const questions = await getQuestionsByIds(questionIds);
+  const questionsById = new Map(questions.map(q => [q.question_id, q]));
+
+  return Promise.all(questionIds
+    .filter(questionId => questionsById.has(questionId))
+    .map(questionId => buildEntry(questionsById.get(questionId), { marks: marksById[questionId] })));
+};
+
+module.exports = {
+  getExamMappings,
+  getQuestionMappings,
+  getQuestionsByIds,
+  getQuestionOptions,
+  getQuestionsByChapter,
+  drawBlueprint,
+  getExamQuestionSet,
+  getQuestionSetByIds
+};
@@ -0,0 +1,67 @@
+// Exam Attempt Policies
+
+const SCORING_POLICIES = ['best', 'latest', 'average'];
+
+// Practice quizzes allow unlimited retakes; every other exam type is a single sitting unless configured
+const DEFAULT_MAX_ATTEMPTS = {
+  quiz: null
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns null when the policy is valid, otherwise the validation message
+const validateAttemptPolicy = (policy) => {
+  if (policy === undefined || policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'attempt_policy must be an object';
+
+  const { max_attempts, cooldown_minutes, scoring_policy } = policy;
+
+  if (max_attempts !== undefined && max_attempts !== null && (!Number.isInteger(max_attempts) || max_attempts < 1)) {
+    return 'max_attempts must be a positive integer, or null for unlimited attempts';
+  }
+  if (cooldown_minutes !== undefined && (!isNumber(cooldown_minutes) || cooldown_minutes < 0)) {
+    return 'cooldown_minutes must be a non-negative number';
+  }
+  if (scoring_policy !== undefined && !SCORING_POLICIES.includes(scoring_policy)) {
+    return `Invalid scoring_policy, must be one of: ${SCORING_POLICIES.join(', ')}`;
+  }
+  return null;
+};
+
+const resolveAttemptPolicy = (exam) => {
+  const type = exam && exam.type;
+  return {
+    max_attempts: type in DEFAULT_MAX_ATTEMPTS ? DEFAULT_MAX_ATTEMPTS[type] : 1,
+    cooldown_minutes: 0,
+    scoring_policy: 'best',
+    ...((exam && exam.attempt_policy) || {})
+  };
+};
+
+/**
+ * Why the user may not start another attempt, or null if they may
+ * @param {Object} policy - Resolved attempt policy
+ * @param {Array} attempts - The user's closed attempts for the exam, oldest first
+ * @returns {Object|null} { message, available_at } (available_at is set while a cooldown runs)
+ */
+const getNextAttemptError = (policy, attempts, now = new Date()) => {
+  if (policy.max_attempts && attempts.length >= policy.max_attempts) {
+    return { message: `Maximum attempts reached (${policy.max_attempts})`, available_at: null };
+  }
+
+  const last = attempts[attempts.length - 1];
+  if (last && policy.cooldown_minutes > 0) {
+    const availableAt = new Date(new Date(last.submitted_at || last.updated_at).getTime() + policy.cooldown_minutes * 60000);
+    if (now < availableAt) {
+      return { message: 'Cooldown between attempts has not finished', available_at: availableAt.toISOString() };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  SCORING_POLICIES,
+  validateAttemptPolicy,
+  resolveAttemptPolicy,
+  getNextAttemptError
+};
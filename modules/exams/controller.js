@@ -1,5 +1,11 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { validateMarkingScheme } = require('./marking-scheme');
+const { validateAttemptPolicy } = require('./attempt-policy');
+const { validateGradingPolicy } = require('./grading-policy');
+const { validateGradingScheme } = require('../results/grade-scales');
+const { RELEASE_STATUS, DEFAULT_VISIBILITY, validateReleaseSettings } = require('./result-release');
+const lifecycle = require('./lifecycle');
 
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 
@@ -32,6 +38,13 @@ async function createExam(event) {
       end_time,
       duration_minutes,
       max_marks,
+      publish_at = null,
+      marking_scheme = null,
+      attempt_policy = null,
+      grading_policy = null,
+      grading_scheme = null,
+      shuffle_questions = false,
+      shuffle_options = false,
       created_by,
       status = 'draft'
     } = JSON.parse(event.body);
@@ -44,6 +57,15 @@ async function createExam(event) {
     if (!validTypes.includes(type)) {
       return createResponse(400, { success: false, message: `Invalid type, must be one of: ${validTypes.join(', ')}` });
     }
+    const schemeError = validateMarkingScheme(marking_scheme);
+    if (schemeError) return createResponse(400, { success: false, message: schemeError });
+    const policyError = validateAttemptPolicy(attempt_policy);
+    if (policyError) return createResponse(400, { success: false, message: policyError });
+    const gradingError = validateGradingPolicy(grading_policy);
+    if (gradingError) return createResponse(400, { success: false, message: gradingError });
+    const gradeScaleError = validateGradingScheme(grading_scheme);
+    if (gradeScaleError) return createResponse(400, { success: false, message: gradeScaleError });
+    if (publish_at && isNaN(new Date(publish_at))) return createResponse(400, { success: false, message: 'publish_at must be a valid date' });
 
     const now = new Date().toISOString();
     const examId = uuidv4();
@@ -61,6 +83,16 @@ async function createExam(event) {
       end_time: new Date(end_time).toISOString(),
       duration_minutes,
       max_marks,
+      publish_at: publish_at ? new Date(publish_at).toISOString() : null,
+      marking_scheme,
+      attempt_policy,
+      grading_policy,
+      // null falls back to the course syllabus' grade scale and pass mark
+      grading_scheme,
+      // Results stay hidden from students until released
+      result_release: { status: RELEASE_STATUS.HIDDEN, release_at: null, visibility: DEFAULT_VISIBILITY },
+      shuffle_questions: !!shuffle_questions,
+      shuffle_options: !!shuffle_options,
       created_by,
       status: status.toLowerCase(),
       created_at: now,
@@ -163,7 +195,16 @@ async function updateExam(event) {
     if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
 
     const updates = JSON.parse(event.body);
-    const allowedFields = ['exam_name', 'description', 'type', 'start_time', 'end_time', 'duration_minutes', 'max_marks', 'status'];
+    const allowedFields = ['exam_name', 'description', 'type', 'start_time', 'end_time', 'duration_minutes', 'max_marks', 'publish_at', 'marking_scheme', 'attempt_policy', 'grading_policy', 'grading_scheme', 'shuffle_questions', 'shuffle_options', 'status'];
+
+    const schemeError = validateMarkingScheme(updates.marking_scheme);
+    if (schemeError) return createResponse(400, { success: false, message: schemeError });
+    const policyError = validateAttemptPolicy(updates.attempt_policy);
+    if (policyError) return createResponse(400, { success: false, message: policyError });
+    const gradingError = validateGradingPolicy(updates.grading_policy);
+    if (gradingError) return createResponse(400, { success: false, message: gradingError });
+    const gradeScaleError = validateGradingScheme(updates.grading_scheme);
+    if (gradeScaleError) return createResponse(400, { success: false, message: gradeScaleError });
 
     let updateExpression = 'SET updated_at = :updated_at';
     const expressionAttributeNames = {};
@@ -173,7 +214,7 @@ async function updateExam(event) {
       if (allowedFields.includes(key)) {
         updateExpression += `, #${key} = :${key}`;
         expressionAttributeNames[`#${key}`] = key;
-        if (['start_time', 'end_time'].includes(key)) {
+        if (['start_time', 'end_time'].includes(key) || (key === 'publish_at' && updates[key])) {
           expressionAttributeValues[`:${key}`] = new Date(updates[key]).toISOString();
         } else if (key === 'status') {
           expressionAttributeValues[`:${key}`] = updates[key].toLowerCase();
@@ -253,16 +294,38 @@ async function completeExam(event) {
   try {
     const examId = event.pathParameters?.examId;
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
-    const params = {
-      TableName: EXAMS_TABLE,
-      Key: { exam_id: examId },
-      UpdateExpression: 'SET #status = :status, updated_at = :updated_at',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': 'completed', ':updated_at': new Date().toISOString() },
-      ReturnValues: 'ALL_NEW'
-    };
-    const result = await dynamoDB.update(params).promise();
-    return createResponse(200, { success: true, message: 'Exam marked as completed', data: result.Attributes });
+    const exam = (await dynamoDB.get({ TableName: EXAMS_TABLE, Key: { exam_id: examId } }).promise()).Item;
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    // Optional release of the results generated here; without it they stay hidden until released
+    const body = event.body ? JSON.parse(event.body) || {} : {};
+    const release = body.release_results ? { release_at: body.release_at, visibility: body.visibility, force: body.force } : null;
+    if (release) {
+      const releaseError = validateReleaseSettings(release);
+      if (releaseError) return createResponse(400, { success: false, message: releaseError });
+    }
+
+    // Same close-out as the scheduler: submit open attempts, evaluate and generate results
+    const closed = await lifecycle.closeExam(exam);
+    if (!closed) return createResponse(409, { success: false, message: `Exam is already ${exam.status}` });
+
+    let data = closed.exam;
+    let releaseError = null;
+    if (release) {
+      const released = await lifecycle.releaseResults(closed.exam, { ...release, released_by: event.user?.userId || null });
+      if (released.exam) data = released.exam;
+      releaseError = released.error || null;
+    }
+
+    return createResponse(200, {
+      success: true,
+      message: releaseError ? `Exam marked as completed; results not released: ${releaseError}` : 'Exam marked as completed',
+      data,
+      attempts_closed: closed.attempts_closed,
+      evaluation: closed.evaluation,
+      results_generated: closed.results_generated,
+      result_release: data.result_release || null
+    });
   } catch (error) {
     console.error('CompleteExam Error:', error);
     return createResponse(500, { success: false, message: 'Failed to complete exam', error: error.message });
@@ -293,9 +356,9 @@ async function getActiveExams() {
   try {
     const params = {
       TableName: EXAMS_TABLE,
-      FilterExpression: '#status = :status',
+      FilterExpression: '#status IN (:published, :live)',
       ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': 'published' } // or 'draft' or 'active'
+      ExpressionAttributeValues: { ':published': 'published', ':live': 'live' }
     };
     const result = await dynamoDB.scan(params).promise();
     return createResponse(200, { success: true, data: result.Items });
@@ -323,6 +386,58 @@ async function getExamSchedule() {
   }
 }
 
+// 11. Release Results (now, or at release_at, with the chosen visibility)
+async function releaseResults(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const body = event.body ? JSON.parse(event.body) || {} : {};
+
+    const releaseError = validateReleaseSettings(body);
+    if (releaseError) return createResponse(400, { success: false, message: releaseError });
+
+    const exam = (await dynamoDB.get({ TableName: EXAMS_TABLE, Key: { exam_id: examId } }).promise()).Item;
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    const released = await lifecycle.releaseResults(exam, {
+      release_at: body.release_at || null,
+      visibility: body.visibility,
+      force: body.force === true,
+      released_by: event.user?.userId || null
+    });
+    if (released.error) {
+      return createResponse(409, { success: false, message: `${released.error}; pass force: true to release anyway`, pending_results: released.pending_results });
+    }
+
+    const scheduled = released.exam.result_release.status === RELEASE_STATUS.SCHEDULED;
+    return createResponse(200, {
+      success: true,
+      message: scheduled ? `Results scheduled for release at ${released.exam.result_release.release_at}` : 'Results released',
+      data: released.exam.result_release
+    });
+  } catch (error) {
+    console.error('ReleaseResults Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to release results', error: error.message });
+  }
+}
+
+// 12. Withhold Results (hide released or scheduled results again)
+async function withholdResults(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+
+    const exam = (await dynamoDB.get({ TableName: EXAMS_TABLE, Key: { exam_id: examId } }).promise()).Item;
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+
+    const updated = await lifecycle.withholdResults(exam);
+    return createResponse(200, { success: true, message: 'Results withheld', data: updated.result_release });
+  } catch (error) {
+    console.error('WithholdResults Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to withhold results', error: error.message });
+  }
+}
+
 module.exports = {
   createExam,
   getAllExams,
@@ -333,5 +448,7 @@ module.exports = {
   completeExam,
   getExamsByCourse,
   getActiveExams,
-  getExamSchedule
+  getExamSchedule,
+  releaseResults,
+  withholdResults
 };
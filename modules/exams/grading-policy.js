@@ -0,0 +1,38 @@
+// Exam Grading Policies (single or double-blind marking of descriptive answers)
+
+const GRADING_MODES = ['single', 'double_blind'];
+
+// Marks two graders may differ by before the answer goes to a moderator
+const DEFAULT_MODERATION_THRESHOLD = 1;
+
+// Returns null when the policy is valid, otherwise the validation message
+const validateGradingPolicy = (policy) => {
+  if (policy === undefined || policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'grading_policy must be an object';
+
+  const { mode, moderation_threshold } = policy;
+
+  if (mode !== undefined && !GRADING_MODES.includes(mode)) {
+    return `Invalid grading mode, must be one of: ${GRADING_MODES.join(', ')}`;
+  }
+  if (moderation_threshold !== undefined
+    && (typeof moderation_threshold !== 'number' || !Number.isFinite(moderation_threshold) || moderation_threshold < 0)) {
+    return 'moderation_threshold must be a non-negative number';
+  }
+  return null;
+};
+
+const resolveGradingPolicy = (exam) => ({
+  mode: 'single',
+  moderation_threshold: DEFAULT_MODERATION_THRESHOLD,
+  ...((exam && exam.grading_policy) || {})
+});
+
+const isDoubleBlind = (exam) => resolveGradingPolicy(exam).mode === 'double_blind';
+
+module.exports = {
+  GRADING_MODES,
+  validateGradingPolicy,
+  resolveGradingPolicy,
+  isDoubleBlind
+};
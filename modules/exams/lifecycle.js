@@ -0,0 +1,220 @@
+// Exam Status Lifecycle (draft -> published -> live -> completed)
+
+const AWS = require('aws-sdk');
+const answersService = require('../answers/service');
+const resultsService = require('../results/service');
+const accommodationsService = require('../exam-accommodations/service');
+const notificationsService = require('../notifications/service');
+const { RELEASE_STATUS, resolveResultRelease } = require('./result-release');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const EXAMS_TABLE = process.env.EXAMS_TABLE || 'TestExams';
+
+const EXAM_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  LIVE: 'live',
+  COMPLETED: 'completed'
+};
+
+const setExamStatus = async (exam, status, fromStatuses) => {
+  const now = new Date().toISOString();
+  const values = { ':status': status, ':updated_at': now };
+  fromStatuses.forEach((from, i) => { values[`:from${i}`] = from; });
+
+  try {
+    const result = await dynamoDB.update({
+      TableName: EXAMS_TABLE,
+      Key: { exam_id: exam.exam_id },
+      UpdateExpression: 'SET #status = :status, updated_at = :updated_at',
+      ConditionExpression: `#status IN (${fromStatuses.map((_, i) => `:from${i}`).join(', ')})`,
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    // Another run (or a teacher) moved it first
+    if (error.code === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+};
+
+// When the last student's sitting ends: the exam's end_time, or later for accommodated students
+const getClosesAt = async (exam) => {
+  const accommodations = await accommodationsService.getExamAccommodations(exam.exam_id);
+  let closesAt = new Date(exam.end_time);
+  accommodations
+    .filter(item => item.status === accommodationsService.ACCOMMODATION_STATUS.ACTIVE)
+    .forEach(item => {
+      const sitting = accommodationsService.applyAccommodation(exam, item);
+      const end = new Date(new Date(sitting.end_time).getTime() + (sitting.deadline_extension_minutes || 0) * 60000);
+      if (end > closesAt) closesAt = end;
+    });
+  return closesAt;
+};
+
+/**
+ * Close an exam: mark it completed, submit every attempt still open, auto-evaluate and generate results
+ * Used by the scheduler when the exam's time is up and by the manual completeExam endpoint
+ * @returns {Object} { exam, attempts_closed, evaluation, results_generated }
+ */
+const closeExam = async (exam) => {
+  const updated = await setExamStatus(exam, EXAM_STATUS.COMPLETED, [EXAM_STATUS.DRAFT, EXAM_STATUS.PUBLISHED, EXAM_STATUS.LIVE]);
+  if (!updated) return null;
+
+  // Attempts past their deadline expire; any still running (manual early close) are submitted now
+  const attempts = await answersService.getExamAttempts(exam.exam_id);
+  let attemptsClosed = 0;
+  for (const attempt of attempts.filter(answersService.isAttemptOpen)) {
+    const refreshed = await answersService.refreshAttempt(attempt);
+    if (answersService.isAttemptOpen(refreshed)) {
+      await answersService.closeAttempt(refreshed, answersService.ATTEMPT_STATUS.SUBMITTED);
+    }
+    attemptsClosed++;
+  }
+
+  const evaluation = await answersService.evaluateObjectiveAnswers(exam.exam_id);
+  const results = await resultsService.refreshAttemptResults(attempts.map(a => a.attempt_id));
+
+  return { exam: updated, attempts_closed: attemptsClosed, evaluation, results_generated: results.length };
+};
+
+const setResultRelease = async (exam, release) => {
+  const result = await dynamoDB.update({
+    TableName: EXAMS_TABLE,
+    Key: { exam_id: exam.exam_id },
+    UpdateExpression: 'SET result_release = :release, updated_at = :updated_at',
+    ExpressionAttributeValues: { ':release': release, ':updated_at': new Date().toISOString() },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+/**
+ * Publish an exam's results now, or schedule them for release_at
+ * Results with answers still awaiting grading block release unless force is set
+ * @param {Object} exam - Exam record
+ * @param {Object} options - { release_at, visibility, released_by, force }
+ * @returns {Object} { exam } or { error, pending_results }
+ */
+const releaseResults = async (exam, { release_at = null, visibility, released_by = null, force = false } = {}, now = new Date()) => {
+  const current = resolveResultRelease(exam);
+  const settings = { visibility: { ...current.visibility, ...(visibility || {}) }, force: !!force };
+
+  if (release_at && new Date(release_at) > now) {
+    const scheduled = { ...settings, status: RELEASE_STATUS.SCHEDULED, release_at: new Date(release_at).toISOString(), scheduled_by: released_by };
+    return { exam: await setResultRelease(exam, scheduled) };
+  }
+
+  const results = await resultsService.getExamResults(exam.exam_id);
+  const pending = results.filter(r => r.status !== 'inactive' && r.evaluation_pending).length;
+  if (pending > 0 && !force) {
+    return { error: `${pending} results still have answers awaiting evaluation`, pending_results: pending };
+  }
+
+  const released = {
+    ...settings,
+    status: RELEASE_STATUS.RELEASED,
+    release_at: current.release_at,
+    released_at: now.toISOString(),
+    released_by
+  };
+  const updated = await setResultRelease(exam, released);
+
+  await notificationsService.notifyUsers(results.map(r => r.user_id), {
+    type: 'results_released',
+    title: 'Results released',
+    message: `Results for "${exam.exam_name}" are now available`,
+    data: { exam_id: exam.exam_id }
+  });
+
+  return { exam: updated };
+};
+
+// Hide results again (e.g. when a key error is found after release)
+const withholdResults = async (exam) => {
+  const current = resolveResultRelease(exam);
+  return setResultRelease(exam, { visibility: current.visibility, status: RELEASE_STATUS.HIDDEN, release_at: null });
+};
+
+/**
+ * Move one exam along its lifecycle as far as its schedule allows
+ * Drafts are only published automatically when they have a publish_at time
+ * @returns {Array} Transitions applied, e.g. [{ from: 'published', to: 'live' }]
+ */
+const advanceExam = async (exam, now = new Date()) => {
+  const transitions = [];
+  let current = exam;
+
+  if (current.status === EXAM_STATUS.DRAFT && current.publish_at && now >= new Date(current.publish_at)) {
+    const published = await setExamStatus(current, EXAM_STATUS.PUBLISHED, [EXAM_STATUS.DRAFT]);
+    if (!published) return transitions;
+    transitions.push({ from: EXAM_STATUS.DRAFT, to: EXAM_STATUS.PUBLISHED });
+    current = published;
+  }
+
+  if (current.status === EXAM_STATUS.PUBLISHED && now >= new Date(current.start_time)) {
+    const live = await setExamStatus(current, EXAM_STATUS.LIVE, [EXAM_STATUS.PUBLISHED]);
+    if (!live) return transitions;
+    transitions.push({ from: EXAM_STATUS.PUBLISHED, to: EXAM_STATUS.LIVE });
+    current = live;
+  }
+
+  if (current.status === EXAM_STATUS.LIVE && now >= await getClosesAt(current)) {
+    const closed = await closeExam(current);
+    if (closed) {
+      transitions.push({
+        from: EXAM_STATUS.LIVE,
+        to: EXAM_STATUS.COMPLETED,
+        attempts_closed: closed.attempts_closed,
+        results_generated: closed.results_generated
+      });
+    }
+  }
+
+  // Scheduled result releases wait until grading is finished, unless forced when scheduled
+  const release = resolveResultRelease(current);
+  if (current.status === EXAM_STATUS.COMPLETED || transitions.some(t => t.to === EXAM_STATUS.COMPLETED)) {
+    if (release.status === RELEASE_STATUS.SCHEDULED && now >= new Date(release.release_at)) {
+      const released = await releaseResults(current, { released_by: release.scheduled_by || null, force: release.force }, now);
+      if (released.exam) transitions.push({ from: RELEASE_STATUS.SCHEDULED, to: RELEASE_STATUS.RELEASED, field: 'result_release' });
+    }
+  }
+
+  return transitions;
+};
+
+// Exams the scheduler still has to look at, including completed ones with a scheduled result release
+const getSchedulableExams = async () => {
+  const params = {
+    TableName: EXAMS_TABLE,
+    FilterExpression: '#status IN (:draft, :published, :live) OR result_release.#releaseStatus = :scheduled',
+    ExpressionAttributeNames: { '#status': 'status', '#releaseStatus': 'status' },
+    ExpressionAttributeValues: {
+      ':draft': EXAM_STATUS.DRAFT,
+      ':published': EXAM_STATUS.PUBLISHED,
+      ':live': EXAM_STATUS.LIVE,
+      ':scheduled': RELEASE_STATUS.SCHEDULED
+    }
+  };
+
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+module.exports = {
+  EXAM_STATUS,
+  closeExam,
+  releaseResults,
+  withholdResults,
+  advanceExam,
+  getSchedulableExams
+};
@@ -0,0 +1,81 @@
+// Exam Marking Schemes
+
+const { QUESTION_TYPES } = require('../questions/types');
+
+const NEGATIVE_MARK_TYPES = ['none', 'fixed', 'fraction'];
+
+// Scheme applied when an exam does not define its own
+const DEFAULT_MARKING_SCHEME = {
+  negative_mark_type: 'none', // none | fixed (marks per wrong answer) | fraction (of the question's marks)
+  negative_mark_value: 0,
+  negative_mark_question_types: ['mcq', 'mcq_multi'],
+  skipped_marks: 0,
+  partial_credit: false // proportional credit on multi-select (when no wrong option is picked), match and fill-in-the-blank
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns null when the scheme is valid, otherwise the validation message
+const validateMarkingScheme = (scheme) => {
+  if (scheme === undefined || scheme === null) return null;
+  if (typeof scheme !== 'object' || Array.isArray(scheme)) return 'marking_scheme must be an object';
+
+  const { negative_mark_type, negative_mark_value, negative_mark_question_types, skipped_marks, partial_credit } = scheme;
+
+  if (negative_mark_type !== undefined && !NEGATIVE_MARK_TYPES.includes(negative_mark_type)) {
+    return `Invalid negative_mark_type, must be one of: ${NEGATIVE_MARK_TYPES.join(', ')}`;
+  }
+  if (negative_mark_value !== undefined && (!isNumber(negative_mark_value) || negative_mark_value < 0)) {
+    return 'negative_mark_value must be a non-negative number';
+  }
+  if (negative_mark_type === 'fraction' && negative_mark_value > 1) {
+    return 'negative_mark_value must be between 0 and 1 for fraction negative marking';
+  }
+  if (negative_mark_question_types !== undefined && !Array.isArray(negative_mark_question_types)) {
+    return 'negative_mark_question_types must be an array';
+  }
+  const unknownType = (negative_mark_question_types || []).find(type => !QUESTION_TYPES.includes(type));
+  if (unknownType !== undefined) {
+    return `Invalid negative_mark_question_types entry "${unknownType}", must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+  if (skipped_marks !== undefined && !isNumber(skipped_marks)) {
+    return 'skipped_marks must be a number';
+  }
+  if (partial_credit !== undefined && typeof partial_credit !== 'boolean') {
+    return 'partial_credit must be a boolean';
+  }
+  return null;
+};
+
+const resolveMarkingScheme = (exam) => ({
+  ...DEFAULT_MARKING_SCHEME,
+  ...((exam && exam.marking_scheme) || {})
+});
+
+/**
+ * Marks deducted for a wrong answer, as a non-negative number
+ * @param {Object} scheme - Resolved marking scheme
+ * @param {Object} entry - Exam question set entry ({ question, marks, negative_marks })
+ */
+const getNegativeMarks = (scheme, entry) => {
+  // A per-question override on the exam mapping wins over the exam-wide rule
+  if (isNumber(entry.negative_marks)) return entry.negative_marks;
+  if (!scheme.negative_mark_question_types.includes(entry.question.type)) return 0;
+
+  switch (scheme.negative_mark_type) {
+  case 'fixed':
+    return scheme.negative_mark_value;
+  case 'fraction':
+    return (Number(entry.marks) || 0) * scheme.negative_mark_value;
+  default:
+    return 0;
+  }
+};
+
+module.exports = {
+  NEGATIVE_MARK_TYPES,
+  DEFAULT_MARKING_SCHEME,
+  validateMarkingScheme,
+  resolveMarkingScheme,
+  getNegativeMarks
+};
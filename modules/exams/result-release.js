@@ -0,0 +1,89 @@
+// Exam Result Release (embargo until a teacher publishes, and what students may see)
+
+const { hasPermission } = require('../roles/permissions');
+
+const RELEASE_STATUS = {
+  HIDDEN: 'hidden',
+  SCHEDULED: 'scheduled',
+  RELEASED: 'released'
+};
+
+// What a released result shows to students and parents
+const DEFAULT_VISIBILITY = {
+  score: true,
+  question_marks: false,
+  correct_answers: false,
+  explanations: false
+};
+
+// Staff see results before release
+const EMBARGO_EXEMPT_PERMISSIONS = ['canGradeAssignments', 'canViewReports'];
+
+const SCORE_FIELDS = [
+  'total_score', 'total_possible', 'percentage', 'questions_answered', 'questions_correct',
+  'section_breakdown', 'chapter_breakdown', 'grade', 'grade_point', 'passed', 'failed_sections'
+];
+const GRADING_FIELDS = ['marks_awarded', 'is_correct', 'rubric_evaluation', 'feedback', 'evaluated_by', 'evaluated_at'];
+
+// Returns null when the release settings are valid, otherwise the validation message
+const validateReleaseSettings = ({ release_at, visibility } = {}) => {
+  if (release_at !== undefined && release_at !== null && isNaN(new Date(release_at))) {
+    return 'release_at must be a valid date';
+  }
+  if (visibility !== undefined) {
+    if (!visibility || typeof visibility !== 'object' || Array.isArray(visibility)) return 'visibility must be an object';
+    const unknown = Object.keys(visibility).find(key => !(key in DEFAULT_VISIBILITY));
+    if (unknown) return `Unknown visibility option: ${unknown}; allowed: ${Object.keys(DEFAULT_VISIBILITY).join(', ')}`;
+    if (Object.values(visibility).some(value => typeof value !== 'boolean')) return 'visibility options must be true or false';
+  }
+  return null;
+};
+
+// Exams from before release controls have no result_release and stay visible as they always were
+const resolveResultRelease = (exam) => {
+  const release = (exam && exam.result_release) || { status: RELEASE_STATUS.RELEASED };
+  return {
+    status: RELEASE_STATUS.HIDDEN,
+    release_at: null,
+    ...release,
+    visibility: { ...DEFAULT_VISIBILITY, ...(release.visibility || {}) }
+  };
+};
+
+// A scheduled release only counts once the scheduler has flipped it, since that is where the pending-grading gate runs
+const isResultReleased = (exam) => resolveResultRelease(exam).status === RELEASE_STATUS.RELEASED;
+
+const isEmbargoExempt = (user) => !!user && hasPermission(user.role, user.permissions || [], EMBARGO_EXEMPT_PERMISSIONS);
+
+/**
+ * Result as a student or parent may see it under the exam's visibility settings
+ * @returns {Object|null} Filtered result, or null while results are hidden
+ */
+const filterResult = (exam, result) => {
+  if (!isResultReleased(exam)) return null;
+  const { visibility } = resolveResultRelease(exam);
+  if (visibility.score) return result;
+  const filtered = { ...result };
+  SCORE_FIELDS.forEach(field => delete filtered[field]);
+  return filtered;
+};
+
+// Answer as a student or parent may see it: grading only once released with question_marks
+const filterAnswer = (exam, answer) => {
+  const { visibility } = resolveResultRelease(exam);
+  if (isResultReleased(exam) && visibility.question_marks) return answer;
+  const filtered = { ...answer };
+  GRADING_FIELDS.forEach(field => delete filtered[field]);
+  return filtered;
+};
+
+module.exports = {
+  RELEASE_STATUS,
+  DEFAULT_VISIBILITY,
+  validateReleaseSettings,
+  resolveResultRelease,
+  isResultReleased,
+  isEmbargoExempt,
+  filterResult,
+  filterAnswer
+};
@@ -1,18 +1,21 @@
 const express = require('express');
 const examsController = require('./controller');
 const handler = require('../../helpers/handler');
+const { authenticate, requirePermission } = require('../../middleware/permissionMiddleware');
 
 const router = express.Router();
 
 // Exams Management Routes
-router.post('/', handler(examsController.createExam));
-router.get('/', handler(examsController.getAllExams));
-router.get('/active', handler(examsController.getActiveExams));
-router.get('/schedule', handler(examsController.getExamSchedule));
-router.get('/:examId', handler(examsController.getExamDetails));
-router.put('/:examId', handler(examsController.updateExam));
-router.delete('/:examId', handler(examsController.deleteExam));
-router.put('/:examId/publish', handler(examsController.publishExam));
-router.put('/:examId/complete', handler(examsController.completeExam));
+router.post('/', requirePermission('canCreateQuizzes'), handler(examsController.createExam));
+router.get('/', authenticate, handler(examsController.getAllExams));
+router.get('/active', authenticate, handler(examsController.getActiveExams));
+router.get('/schedule', authenticate, handler(examsController.getExamSchedule));
+router.get('/:examId', authenticate, handler(examsController.getExamDetails));
+router.put('/:examId', requirePermission('canCreateQuizzes'), handler(examsController.updateExam));
+router.delete('/:examId', requirePermission('canCreateQuizzes'), handler(examsController.deleteExam));
+router.put('/:examId/publish', requirePermission('canCreateQuizzes'), handler(examsController.publishExam));
+router.put('/:examId/complete', requirePermission('canCreateQuizzes'), handler(examsController.completeExam));
+router.put('/:examId/results/release', requirePermission('canCreateQuizzes'), handler(examsController.releaseResults));
+router.put('/:examId/results/withhold', requirePermission('canCreateQuizzes'), handler(examsController.withholdResults));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Exam Scheduler
+// Lambda entry point (see the examScheduler function in serverless.yml); run locally with `npm run scheduler`
+
+require('dotenv').config();
+const lifecycle = require('./lifecycle');
+
+/**
+ * Advance every draft, published and live exam according to publish_at, start_time and end_time
+ * @returns {Object} { checked, transitions: [{ exam_id, from, to }], failures: [{ exam_id, error }] }
+ */
+const handler = async () => {
+  const now = new Date();
+  const exams = await lifecycle.getSchedulableExams();
+  const transitions = [];
+  const failures = [];
+
+  for (const exam of exams) {
+    try {
+      const applied = await lifecycle.advanceExam(exam, now);
+      applied.forEach(transition => transitions.push({ exam_id: exam.exam_id, ...transition }));
+    } catch (error) {
+      // One bad exam must not stop the rest from closing on time
+      console.error(`ExamScheduler Error (${exam.exam_id}):`, error);
+      failures.push({ exam_id: exam.exam_id, error: error.message });
+    }
+  }
+
+  const summary = { checked: exams.length, transitions, failures };
+  console.log('ExamScheduler run:', JSON.stringify(summary));
+  return summary;
+};
+
+module.exports = { handler };
+
+if (require.main === module) {
+  handler()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('ExamScheduler Error:', error);
+      process.exit(1);
+    });
+}
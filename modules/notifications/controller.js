@@ -0,0 +1,55 @@
+const service = require('./service');
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// 1. Get My Notifications (newest first; ?unread=true for unread only)
+async function getMyNotifications(event) {
+  try {
+    const userId = event.user?.userId;
+    if (!userId) return createResponse(401, { success: false, message: 'Authentication required' });
+    const { unread, limit } = event.queryStringParameters || {};
+
+    const data = await service.getUserNotifications(userId, {
+      unreadOnly: unread === 'true',
+      limit: Math.min(parseInt(limit, 10) || 50, 100)
+    });
+
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetMyNotifications Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get notifications', error: error.message });
+  }
+}
+
+// 2. Mark Notification as Read
+async function markNotificationRead(event) {
+  try {
+    const notificationId = event.pathParameters?.notificationId;
+    if (!notificationId) return createResponse(400, { success: false, message: 'notificationId is required' });
+
+    const notification = await service.getNotification(notificationId);
+    if (!notification || notification.user_id !== event.user?.userId) {
+      return createResponse(404, { success: false, message: 'Notification not found' });
+    }
+
+    const data = await service.markRead(notificationId);
+    return createResponse(200, { success: true, message: 'Notification marked as read', data });
+  } catch (error) {
+    console.error('MarkNotificationRead Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to update notification', error: error.message });
+  }
+}
+
+module.exports = {
+  getMyNotifications,
+  markNotificationRead
+};
@@ -0,0 +1,12 @@
+const express = require('express');
+const notificationsController = require('./controller');
+const handler = require('../../helpers/handler');
+const { authenticate } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// Notification Routes (always the signed-in user's own)
+router.get('/', authenticate, handler(notificationsController.getMyNotifications));
+router.put('/:notificationId/read', authenticate, handler(notificationsController.markNotificationRead));
+
+module.exports = router;
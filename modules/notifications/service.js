@@ -0,0 +1,86 @@
+// Business Logic for In-App Notifications
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  NOTIFICATIONS: process.env.NOTIFICATIONS_TABLE || 'TestNotifications'
+};
+
+/**
+ * Notify one or more users; failures are logged so they never break the action that triggered them
+ * @param {Array|string} userIds - Recipients (duplicates and empty ids are ignored)
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Array} Stored notifications
+ */
+const notifyUsers = async (userIds, { type, title, message, data = {} }) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean))];
+  const now = new Date().toISOString();
+  const stored = [];
+
+  for (const userId of recipients) {
+    const item = {
+      notification_id: uuidv4(),
+      user_id: userId,
+      type,
+      title,
+      message,
+      data,
+      read: false,
+      created_at: now,
+      ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+    };
+    try {
+      await dynamoDB.put({ TableName: TABLES.NOTIFICATIONS, Item: item }).promise();
+      stored.push(item);
+    } catch (error) {
+      console.error(`Failed to notify user ${userId}:`, error);
+    }
+  }
+  return stored;
+};
+
+// Newest first
+const getUserNotifications = async (userId, { unreadOnly = false, limit = 50 } = {}) => {
+  const params = {
+    TableName: TABLES.NOTIFICATIONS,
+    IndexName: 'userId-index',
+    KeyConditionExpression: 'user_id = :userId',
+    ExpressionAttributeValues: { ':userId': userId },
+    ScanIndexForward: false,
+    Limit: limit
+  };
+  if (unreadOnly) {
+    params.FilterExpression = '#read = :false';
+    params.ExpressionAttributeNames = { '#read': 'read' };
+    params.ExpressionAttributeValues[':false'] = false;
+  }
+  const result = await dynamoDB.query(params).promise();
+  return result.Items;
+};
+
+const getNotification = async (notificationId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.NOTIFICATIONS, Key: { notification_id: notificationId } }).promise();
+  return result.Item || null;
+};
+
+const markRead = async (notificationId) => {
+  const result = await dynamoDB.update({
+    TableName: TABLES.NOTIFICATIONS,
+    Key: { notification_id: notificationId },
+    UpdateExpression: 'SET #read = :true, read_at = :now',
+    ExpressionAttributeNames: { '#read': 'read' },
+    ExpressionAttributeValues: { ':true': true, ':now': new Date().toISOString() },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+module.exports = {
+  notifyUsers,
+  getUserNotifications,
+  getNotification,
+  markRead
+};
@@ -0,0 +1,379 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { SUPERUSER_ROLE } = require('../roles/permissions');
+const { resolveRole } = require('../../middleware/permissionMiddleware');
+const resultsController = require('../results/controller');
+const enrollmentsController = require('../enrollments/controller');
+const materialViewsController = require('../material-views/controller');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const PARENT_LINKS_TABLE = process.env.PARENT_LINKS_TABLE || 'TestParentLinks';
+const USERS_TABLE = process.env.USERS_TABLE || 'TestUsers';
+const AUDIT_LOGS_TABLE = process.env.AUDIT_LOGS_TABLE || 'TestAuditLogs';
+
+const LINK_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  REVOKED: 'revoked'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// Helper function to create audit log
+const createAuditLog = async (userId, action, details, event) => {
+  try {
+    const ipAddress = event?.headers?.['X-Forwarded-For'] ||
+                     event?.headers?.['x-forwarded-for'] ||
+                     'Unknown';
+
+    await dynamoDB.put({
+      TableName: AUDIT_LOGS_TABLE,
+      Item: {
+        log_id: uuidv4(),
+        user_id: userId,
+        action: action,
+        module: 'ParentLink',
+        details: details,
+        ip_address: ipAddress,
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+      }
+    }).promise();
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
+const isAdmin = (user) => user?.role === SUPERUSER_ROLE;
+
+const getLink = async (linkId) => {
+  const result = await dynamoDB.get({ TableName: PARENT_LINKS_TABLE, Key: { link_id: linkId } }).promise();
+  return result.Item || null;
+};
+
+const queryLinks = async (indexName, keyName, keyValue, status) => {
+  const params = {
+    TableName: PARENT_LINKS_TABLE,
+    IndexName: indexName,
+    KeyConditionExpression: `${keyName} = :key`,
+    ExpressionAttributeValues: { ':key': keyValue }
+  };
+  if (status) {
+    params.FilterExpression = '#status = :status';
+    params.ExpressionAttributeNames = { '#status': 'status' };
+    params.ExpressionAttributeValues[':status'] = status;
+  }
+
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+const findStudent = async ({ student_id, student_email }) => {
+  if (student_id) {
+    const result = await dynamoDB.get({ TableName: USERS_TABLE, Key: { user_id: student_id } }).promise();
+    return result.Item || null;
+  }
+  const result = await dynamoDB.query({
+    TableName: USERS_TABLE,
+    IndexName: 'email-index',
+    KeyConditionExpression: 'email = :email',
+    ExpressionAttributeValues: { ':email': student_email }
+  }).promise();
+  return result.Items[0] || null;
+};
+
+// Keep the parent's linkedStudentIds (used by ownership checks) in step with approved links
+const addLinkedStudent = async (parentId, studentId) => {
+  try {
+    await dynamoDB.update({
+      TableName: USERS_TABLE,
+      Key: { user_id: parentId },
+      UpdateExpression: 'SET linkedStudentIds = list_append(if_not_exists(linkedStudentIds, :empty), :student), updated_at = :updated_at',
+      ConditionExpression: 'NOT contains(linkedStudentIds, :studentId)',
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':student': [studentId],
+        ':studentId': studentId,
+        ':updated_at': new Date().toISOString()
+      }
+    }).promise();
+  } catch (error) {
+    // Already linked
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+  }
+};
+
+const removeLinkedStudent = async (parentId, studentId) => {
+  const result = await dynamoDB.get({ TableName: USERS_TABLE, Key: { user_id: parentId } }).promise();
+  if (!result.Item) return;
+  await dynamoDB.update({
+    TableName: USERS_TABLE,
+    Key: { user_id: parentId },
+    UpdateExpression: 'SET linkedStudentIds = :ids, updated_at = :updated_at',
+    ExpressionAttributeValues: {
+      ':ids': (result.Item.linkedStudentIds || []).filter(id => id !== studentId),
+      ':updated_at': new Date().toISOString()
+    }
+  }).promise();
+};
+
+const hasApprovedLink = async (parentId, studentId) => {
+  const links = await queryLinks('parentId-index', 'parent_id', parentId, LINK_STATUS.APPROVED);
+  return links.some(link => link.student_id === studentId);
+};
+
+// 1. Request Link (parent asks to be linked to a student; admins may link on a parent's behalf)
+async function requestLink(event) {
+  try {
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const { student_id, student_email, parent_id, relationship = 'parent' } = JSON.parse(event.body);
+    if (!student_id && !student_email) {
+      return createResponse(400, { success: false, message: 'student_id or student_email is required' });
+    }
+
+    const parentId = isAdmin(event.user) && parent_id ? parent_id : event.user.userId;
+
+    const student = await findStudent({ student_id, student_email });
+    const studentRole = student ? await resolveRole(student.role_id) : null;
+    if (!studentRole || studentRole.role_name !== 'student') {
+      return createResponse(404, { success: false, message: 'Student not found' });
+    }
+    if (student.user_id === parentId) {
+      return createResponse(400, { success: false, message: 'Cannot link an account to itself' });
+    }
+
+    const existing = await queryLinks('parentId-index', 'parent_id', parentId);
+    const open = existing.find(link => link.student_id === student.user_id
+      && [LINK_STATUS.PENDING, LINK_STATUS.APPROVED].includes(link.status));
+    if (open) {
+      return createResponse(409, { success: false, message: `A ${open.status} link to this student already exists`, data: open });
+    }
+
+    const timestamp = new Date().toISOString();
+    const link = {
+      link_id: uuidv4(),
+      parent_id: parentId,
+      student_id: student.user_id,
+      relationship,
+      status: LINK_STATUS.PENDING,
+      requested_by: event.user.userId,
+      responded_by: null,
+      responded_at: null,
+      created_at: timestamp,
+      updated_at: timestamp
+    };
+
+    await dynamoDB.put({ TableName: PARENT_LINKS_TABLE, Item: link }).promise();
+    await createAuditLog(event.user.userId, 'PARENT_LINK_REQUESTED', { linkId: link.link_id, parentId, studentId: student.user_id }, event);
+
+    return createResponse(201, { success: true, message: 'Link request sent for approval', data: link });
+
+  } catch (error) {
+    console.error('RequestLink Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to request link', error: error.message });
+  }
+}
+
+// 2. Get Link Requests addressed to the calling student
+async function getLinkRequests(event) {
+  try {
+    const status = event.queryStringParameters?.status || LINK_STATUS.PENDING;
+    const links = await queryLinks('studentId-index', 'student_id', event.user.userId, status);
+
+    return createResponse(200, { success: true, data: links, count: links.length });
+  } catch (error) {
+    console.error('GetLinkRequests Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get link requests', error: error.message });
+  }
+}
+
+// 3. Get the calling parent's Links
+async function getParentLinks(event) {
+  try {
+    const status = event.queryStringParameters?.status;
+    const links = await queryLinks('parentId-index', 'parent_id', event.user.userId, status);
+
+    return createResponse(200, { success: true, data: links, count: links.length });
+  } catch (error) {
+    console.error('GetParentLinks Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get links', error: error.message });
+  }
+}
+
+// Approve or reject a pending link; only the student or an admin may respond
+const respondToLink = async (event, status) => {
+  const linkId = event.pathParameters?.linkId;
+  if (!linkId) return createResponse(400, { success: false, message: 'linkId is required' });
+
+  const link = await getLink(linkId);
+  if (!link) return createResponse(404, { success: false, message: 'Link not found' });
+  if (link.student_id !== event.user.userId && !isAdmin(event.user)) {
+    return createResponse(403, { success: false, message: 'Only the student or an admin can respond to this request' });
+  }
+  if (link.status !== LINK_STATUS.PENDING) {
+    return createResponse(409, { success: false, message: `Link is already ${link.status}` });
+  }
+
+  const timestamp = new Date().toISOString();
+  const result = await dynamoDB.update({
+    TableName: PARENT_LINKS_TABLE,
+    Key: { link_id: linkId },
+    UpdateExpression: 'SET #status = :status, responded_by = :respondedBy, responded_at = :now, updated_at = :now',
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':respondedBy': event.user.userId,
+      ':now': timestamp,
+      ':pending': LINK_STATUS.PENDING
+    },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+
+  if (status === LINK_STATUS.APPROVED) await addLinkedStudent(link.parent_id, link.student_id);
+  await createAuditLog(event.user.userId, `PARENT_LINK_${status.toUpperCase()}`, { linkId, parentId: link.parent_id, studentId: link.student_id }, event);
+
+  return createResponse(200, { success: true, message: `Link ${status}`, data: result.Attributes });
+};
+
+// 4. Approve Link
+async function approveLink(event) {
+  try {
+    return await respondToLink(event, LINK_STATUS.APPROVED);
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(409, { success: false, message: 'Link is no longer pending' });
+    }
+    console.error('ApproveLink Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to approve link', error: error.message });
+  }
+}
+
+// 5. Reject Link
+async function rejectLink(event) {
+  try {
+    return await respondToLink(event, LINK_STATUS.REJECTED);
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(409, { success: false, message: 'Link is no longer pending' });
+    }
+    console.error('RejectLink Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to reject link', error: error.message });
+  }
+}
+
+// 6. Revoke Link (parent, student or admin)
+async function revokeLink(event) {
+  try {
+    const linkId = event.pathParameters?.linkId;
+    if (!linkId) return createResponse(400, { success: false, message: 'linkId is required' });
+
+    const link = await getLink(linkId);
+    if (!link) return createResponse(404, { success: false, message: 'Link not found' });
+    if (![link.parent_id, link.student_id].includes(event.user.userId) && !isAdmin(event.user)) {
+      return createResponse(403, { success: false, message: 'You cannot revoke this link' });
+    }
+    if (![LINK_STATUS.PENDING, LINK_STATUS.APPROVED].includes(link.status)) {
+      return createResponse(409, { success: false, message: `Link is already ${link.status}` });
+    }
+
+    const timestamp = new Date().toISOString();
+    await dynamoDB.update({
+      TableName: PARENT_LINKS_TABLE,
+      Key: { link_id: linkId },
+      UpdateExpression: 'SET #status = :status, responded_by = :respondedBy, responded_at = :now, updated_at = :now',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': LINK_STATUS.REVOKED,
+        ':respondedBy': event.user.userId,
+        ':now': timestamp
+      }
+    }).promise();
+
+    if (link.status === LINK_STATUS.APPROVED) await removeLinkedStudent(link.parent_id, link.student_id);
+    await createAuditLog(event.user.userId, 'PARENT_LINK_REVOKED', { linkId, parentId: link.parent_id, studentId: link.student_id }, event);
+
+    return createResponse(200, { success: true, message: 'Link revoked' });
+
+  } catch (error) {
+    console.error('RevokeLink Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to revoke link', error: error.message });
+  }
+}
+
+// 7. Get Linked Students of the calling parent
+async function getLinkedStudents(event) {
+  try {
+    const links = await queryLinks('parentId-index', 'parent_id', event.user.userId, LINK_STATUS.APPROVED);
+
+    const students = await Promise.all(links.map(async (link) => {
+      const result = await dynamoDB.get({
+        TableName: USERS_TABLE,
+        Key: { user_id: link.student_id },
+        ProjectionExpression: 'user_id, full_name, email, #status',
+        ExpressionAttributeNames: { '#status': 'status' }
+      }).promise();
+      return {
+        linkId: link.link_id,
+        relationship: link.relationship,
+        linkedAt: link.responded_at,
+        student: result.Item || { user_id: link.student_id }
+      };
+    }));
+
+    return createResponse(200, { success: true, data: students, count: students.length });
+  } catch (error) {
+    console.error('GetLinkedStudents Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get linked students', error: error.message });
+  }
+}
+
+// Runs a student-scoped read from another module once the caller's link to the student is confirmed
+const withLinkedStudent = (read, label) => async (event) => {
+  try {
+    const studentId = event.pathParameters?.studentId;
+    if (!studentId) return createResponse(400, { success: false, message: 'studentId is required' });
+
+    if (!(await hasApprovedLink(event.user.userId, studentId))) {
+      return createResponse(403, { success: false, message: 'You are not linked to this student' });
+    }
+
+    return await read({ ...event, pathParameters: { userId: studentId } });
+  } catch (error) {
+    console.error(`${label} Error:`, error);
+    return createResponse(500, { success: false, message: 'Failed to get student data', error: error.message });
+  }
+};
+
+module.exports = {
+  requestLink,
+  getLinkRequests,
+  getParentLinks,
+  approveLink,
+  rejectLink,
+  revokeLink,
+  getLinkedStudents,
+  // 8-10. Parent-scoped reads of a linked student's data
+  getStudentResults: withLinkedStudent(resultsController.getAllResultsForUser, 'GetStudentResults'),
+  getStudentEnrollments: withLinkedStudent(enrollmentsController.getUserEnrollments, 'GetStudentEnrollments'),
+  getStudentMaterialViews: withLinkedStudent(materialViewsController.getViewsByUser, 'GetStudentMaterialViews')
+};
@@ -0,0 +1,22 @@
+const express = require('express');
+const parentLinksController = require('./controller');
+const handler = require('../../helpers/handler');
+const { authenticate, requirePermission } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// Parent-Student Linking Routes
+router.post('/', requirePermission('canViewLinkedStudents'), handler(parentLinksController.requestLink));
+router.get('/', requirePermission('canViewLinkedStudents'), handler(parentLinksController.getParentLinks));
+router.get('/requests', authenticate, handler(parentLinksController.getLinkRequests));
+router.put('/:linkId/approve', authenticate, handler(parentLinksController.approveLink));
+router.put('/:linkId/reject', authenticate, handler(parentLinksController.rejectLink));
+router.delete('/:linkId', authenticate, handler(parentLinksController.revokeLink));
+
+// Parent-scoped reads of a linked student's data
+router.get('/students', requirePermission('canViewLinkedStudents'), handler(parentLinksController.getLinkedStudents));
+router.get('/students/:studentId/results', requirePermission('canViewLinkedStudents'), handler(parentLinksController.getStudentResults));
+router.get('/students/:studentId/enrollments', requirePermission('canViewLinkedStudents'), handler(parentLinksController.getStudentEnrollments));
+router.get('/students/:studentId/material-views', requirePermission('canViewLinkedStudents'), handler(parentLinksController.getStudentMaterialViews));
+
+module.exports = router;
@@ -1,13 +1,14 @@
 const express = require('express');
 const questionOptionsController = require('./controller');
 const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
 
 const router = express.Router();
 
 // Question Options Management Routes
-router.post('/questions/:questionId/options', handler(questionOptionsController.addOption));
-router.get('/questions/:questionId/options', handler(questionOptionsController.getOptionsByQuestion));
-router.put('/options/:optionId', handler(questionOptionsController.updateOption));
-router.delete('/options/:optionId', handler(questionOptionsController.deleteOption));
+router.post('/questions/:questionId/options', requirePermission('canCreateQuizzes'), handler(questionOptionsController.addOption));
+router.get('/questions/:questionId/options', requirePermission('canCreateQuizzes'), handler(questionOptionsController.getOptionsByQuestion));
+router.put('/options/:optionId', requirePermission('canCreateQuizzes'), handler(questionOptionsController.updateOption));
+router.delete('/options/:optionId', requirePermission('canCreateQuizzes'), handler(questionOptionsController.deleteOption));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,136 @@
+// Answer-Key Revisions (correct a question's key and re-score every exam that used it)
+
+const AWS = require('aws-sdk');
+const examQuestionsService = require('../exam-questions/service');
+const answersService = require('../answers/service');
+const resultsService = require('../results/service');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  QUESTIONS: process.env.QUESTIONS_TABLE || 'TestQuestions',
+  QUESTION_OPTIONS: process.env.QUESTION_OPTIONS_TABLE || 'TestQuestionOptions'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const describeKey = (question, options) => ({
+  correct_answer: question.correct_answer ?? null,
+  answer_config: question.answer_config ?? null,
+  correct_option_ids: options.filter(o => o.is_correct === true).map(o => o.option_id)
+});
+
+// Store the new key on the question and its options, keeping the revision history on the question
+const saveKey = async (question, changes, revision) => {
+  const now = new Date().toISOString();
+  let updateExpression = 'SET updated_at = :now, answer_key_revisions = list_append(if_not_exists(answer_key_revisions, :empty), :revision)';
+  const values = { ':now': now, ':empty': [], ':revision': [revision] };
+  ['correct_answer', 'answer_config'].forEach(field => {
+    if (changes[field] !== undefined) {
+      updateExpression += `, ${field} = :${field}`;
+      values[`:${field}`] = changes[field];
+    }
+  });
+
+  await dynamoDB.update({
+    TableName: TABLES.QUESTIONS,
+    Key: { question_id: question.question_id },
+    UpdateExpression: updateExpression,
+    ExpressionAttributeValues: values
+  }).promise();
+
+  for (const option of changes.options || []) {
+    await dynamoDB.update({
+      TableName: TABLES.QUESTION_OPTIONS,
+      Key: { option_id: option.option_id },
+      UpdateExpression: 'SET is_correct = :isCorrect, updated_at = :now',
+      ExpressionAttributeValues: { ':isCorrect': option.is_correct, ':now': now }
+    }).promise();
+  }
+};
+
+// Re-grade one exam's answers to the question and report how each affected result moved
+const rescoreExam = async (examId, questionId) => {
+  const exam = await answersService.getExam(examId);
+  const regrade = await answersService.regradeQuestionAnswers(examId, questionId);
+  const attemptIds = [...new Set(regrade.changes.map(change => change.attempt_id).filter(Boolean))];
+
+  const resultsBefore = new Map();
+  for (const attemptId of attemptIds) {
+    const attempt = await answersService.getAttempt(attemptId);
+    if (attempt) resultsBefore.set(attemptId, await resultsService.getAttemptResult(attempt));
+  }
+  const resultsAfter = await resultsService.refreshAttemptResults(attemptIds);
+
+  const scoreChanges = resultsAfter.map(after => {
+    const before = resultsBefore.get(after.attempt_id);
+    return {
+      user_id: after.user_id,
+      attempt_id: after.attempt_id,
+      result_id: after.result_id,
+      total_score_before: before ? before.total_score : null,
+      total_score_after: after.total_score,
+      percentage_before: before ? before.percentage : null,
+      percentage_after: after.percentage,
+      delta: round2(after.total_score - (before ? before.total_score : 0))
+    };
+  }).filter(change => change.delta !== 0 || change.total_score_before === null);
+
+  return {
+    exam_id: examId,
+    exam_name: exam ? exam.exam_name : null,
+    answers_regraded: regrade.changes.length,
+    answers_unchanged: regrade.unchanged,
+    answers_left_for_teachers: regrade.manual,
+    answer_changes: regrade.changes,
+    score_changes: scoreChanges
+  };
+};
+
+/**
+ * Apply an answer-key correction and re-score every exam that mapped the question or drew it into an attempt
+ * @param {Object} question - Question record
+ * @param {Object} changes - { correct_answer, answer_config, options: [{ option_id, is_correct }] }
+ * @param {Object} meta - { revised_by, reason }
+ * @returns {Object} { question_id, revision, exams, totals }
+ */
+const reviseAnswerKey = async (question, changes, { revised_by, reason }) => {
+  const options = await examQuestionsService.getQuestionOptions(question.question_id);
+  const changedOptions = new Map((changes.options || []).map(o => [o.option_id, o.is_correct]));
+  const revisedOptions = options.map(o => (changedOptions.has(o.option_id) ? { ...o, is_correct: changedOptions.get(o.option_id) } : o));
+
+  const revision = {
+    revised_at: new Date().toISOString(),
+    revised_by: revised_by || null,
+    reason,
+    before: describeKey(question, options),
+    after: describeKey({ ...question, ...changes }, revisedOptions)
+  };
+  await saveKey(question, changes, revision);
+
+  // Blueprint exams draw questions per attempt without mapping them, so their answers name the exam instead
+  const [mappings, answers] = await Promise.all([
+    examQuestionsService.getQuestionMappings(question.question_id),
+    answersService.getQuestionAnswers(question.question_id)
+  ]);
+  const examIds = [...new Set([...mappings, ...answers].map(item => item.exam_id).filter(Boolean))];
+  const exams = [];
+  for (const examId of examIds) {
+    exams.push(await rescoreExam(examId, question.question_id));
+  }
+
+  return {
+    question_id: question.question_id,
+    revision,
+    exams,
+    totals: {
+      exams: exams.length,
+      answers_regraded: exams.reduce((sum, e) => sum + e.answers_regraded, 0),
+      results_changed: exams.reduce((sum, e) => sum + e.score_changes.length, 0)
+    }
+  };
+};
+
+module.exports = {
+  reviseAnswerKey
+};
@@ -1,5 +1,9 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { QUESTION_TYPES, OPTION_TYPES, validateAnswerConfig } = require('./types');
+const { validateRubric } = require('./rubric');
+const { reviseAnswerKey } = require('./answer-key');
+const examQuestionsService = require('../exam-questions/service');
 
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 
@@ -25,7 +29,7 @@ async function createQuestion(event) {
     const {
       standard_id, course_id, subject_id, chapter_id, section_id,
       question_text, type, difficulty_level, marks, correct_answer,
-      explanation, created_by, status = 'active'
+      answer_config, rubric, explanation, created_by, status = 'active'
     } = JSON.parse(event.body);
 
     // Validate required fields
@@ -33,11 +37,16 @@ async function createQuestion(event) {
       return createResponse(400, { success: false, message: 'Missing required fields' });
     }
 
-    const validTypes = ['mcq', 'true_false', 'short', 'descriptive'];
-    if (!validTypes.includes(type.toLowerCase())) {
-      return createResponse(400, { success: false, message: `Invalid type, must be one of: ${validTypes.join(', ')}` });
+    if (!QUESTION_TYPES.includes(type.toLowerCase())) {
+      return createResponse(400, { success: false, message: `Invalid type, must be one of: ${QUESTION_TYPES.join(', ')}` });
     }
 
+    const configError = validateAnswerConfig(type.toLowerCase(), answer_config);
+    if (configError) return createResponse(400, { success: false, message: configError });
+
+    const rubricError = validateRubric(type.toLowerCase(), rubric);
+    if (rubricError) return createResponse(400, { success: false, message: rubricError });
+
     const validDifficulty = ['easy', 'medium', 'hard'];
     if (!validDifficulty.includes(difficulty_level.toLowerCase())) {
       return createResponse(400, { success: false, message: `Invalid difficulty_level, must be one of: ${validDifficulty.join(', ')}` });
@@ -58,6 +67,8 @@ async function createQuestion(event) {
       difficulty_level: difficulty_level.toLowerCase(),
       marks,
       correct_answer: correct_answer || null,
+      answer_config: answer_config || null,
+      rubric: rubric || null,
       explanation: explanation || null,
       created_by,
       status: status.toLowerCase(),
@@ -173,7 +184,24 @@ async function updateQuestion(event) {
 
     const updates = JSON.parse(event.body);
 
-    const allowedFields = ['question_text', 'type', 'difficulty_level', 'marks', 'correct_answer', 'explanation', 'status'];
+    const allowedFields = ['question_text', 'type', 'difficulty_level', 'marks', 'correct_answer', 'answer_config', 'rubric', 'explanation', 'status'];
+
+    // A type, answer_config or rubric change must leave the question with a valid configuration
+    if (updates.type !== undefined || updates.answer_config !== undefined || updates.rubric !== undefined) {
+      const existing = await dynamoDB.get({ TableName: QUESTIONS_TABLE, Key: { question_id: questionId } }).promise();
+      if (!existing.Item) return createResponse(404, { success: false, message: 'Question not found' });
+
+      const type = updates.type !== undefined ? String(updates.type).toLowerCase() : existing.Item.type;
+      if (!QUESTION_TYPES.includes(type)) {
+        return createResponse(400, { success: false, message: `Invalid type, must be one of: ${QUESTION_TYPES.join(', ')}` });
+      }
+      const config = updates.answer_config !== undefined ? updates.answer_config : existing.Item.answer_config;
+      const configError = validateAnswerConfig(type, config);
+      if (configError) return createResponse(400, { success: false, message: configError });
+      const rubric = updates.rubric !== undefined ? updates.rubric : existing.Item.rubric;
+      const rubricError = validateRubric(type, rubric);
+      if (rubricError) return createResponse(400, { success: false, message: rubricError });
+    }
 
     let updateExpression = 'SET updated_at = :updated_at';
     const expressionAttributeNames = {};
@@ -306,6 +334,58 @@ async function searchQuestions(event) {
   }
 }
 
+// 9. Revise Answer Key (fix correct_answer, answer_config or option is_correct, then re-score every exam using it)
+async function reviseQuestionAnswerKey(event) {
+  try {
+    const questionId = event.pathParameters?.questionId;
+    if (!questionId) return createResponse(400, { success: false, message: 'questionId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+
+    const { correct_answer, answer_config, options, reason } = JSON.parse(event.body);
+    if (!reason) return createResponse(400, { success: false, message: 'reason is required' });
+    if (correct_answer === undefined && answer_config === undefined && options === undefined) {
+      return createResponse(400, { success: false, message: 'Provide correct_answer, answer_config or options to revise' });
+    }
+
+    const existing = await dynamoDB.get({ TableName: QUESTIONS_TABLE, Key: { question_id: questionId } }).promise();
+    const question = existing.Item;
+    if (!question) return createResponse(404, { success: false, message: 'Question not found' });
+
+    if (answer_config !== undefined) {
+      const configError = validateAnswerConfig(question.type, answer_config);
+      if (configError) return createResponse(400, { success: false, message: configError });
+    }
+
+    if (options !== undefined) {
+      if (!OPTION_TYPES.includes(question.type)) {
+        return createResponse(400, { success: false, message: `options can only be revised on ${OPTION_TYPES.join(', ')} questions` });
+      }
+      if (!Array.isArray(options) || options.some(o => !o || !o.option_id || typeof o.is_correct !== 'boolean')) {
+        return createResponse(400, { success: false, message: 'options must be an array of { option_id, is_correct }' });
+      }
+      const current = await examQuestionsService.getQuestionOptions(questionId);
+      const currentIds = new Set(current.map(o => o.option_id));
+      const unknown = options.find(o => !currentIds.has(o.option_id));
+      if (unknown) return createResponse(400, { success: false, message: `Option ${unknown.option_id} does not belong to this question` });
+
+      const revised = new Map(options.map(o => [o.option_id, o.is_correct]));
+      if (!current.some(o => (revised.has(o.option_id) ? revised.get(o.option_id) : o.is_correct === true))) {
+        return createResponse(400, { success: false, message: 'At least one option must remain correct' });
+      }
+    }
+
+    const report = await reviseAnswerKey(question, { correct_answer, answer_config, options }, {
+      revised_by: event.user?.userId || null,
+      reason
+    });
+
+    return createResponse(200, { success: true, message: 'Answer key revised and affected exams re-scored', data: report });
+  } catch (error) {
+    console.error('ReviseQuestionAnswerKey Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to revise answer key', error: error.message });
+  }
+}
+
 module.exports = {
   createQuestion,
   getAllQuestions,
@@ -314,5 +394,6 @@ module.exports = {
   deleteQuestion,
   getQuestionsBySubject,
   getQuestionsByChapter,
-  searchQuestions
+  searchQuestions,
+  reviseQuestionAnswerKey
 };
@@ -1,15 +1,17 @@
 const express = require('express');
 const questionsController = require('./controller');
 const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
 
 const router = express.Router();
 
 // Questions Management Routes
-router.post('/', handler(questionsController.createQuestion));
-router.get('/', handler(questionsController.getAllQuestions));
-router.get('/search', handler(questionsController.searchQuestions));
-router.get('/:questionId', handler(questionsController.getQuestionDetails));
-router.put('/:questionId', handler(questionsController.updateQuestion));
-router.delete('/:questionId', handler(questionsController.deleteQuestion));
+router.post('/', requirePermission('canCreateQuizzes'), handler(questionsController.createQuestion));
+router.get('/', requirePermission('canCreateQuizzes'), handler(questionsController.getAllQuestions));
+router.get('/search', requirePermission('canCreateQuizzes'), handler(questionsController.searchQuestions));
+router.get('/:questionId', requirePermission('canCreateQuizzes'), handler(questionsController.getQuestionDetails));
+router.put('/:questionId', requirePermission('canCreateQuizzes'), handler(questionsController.updateQuestion));
+router.post('/:questionId/answer-key', requirePermission('canCreateQuizzes'), handler(questionsController.reviseQuestionAnswerKey));
+router.delete('/:questionId', requirePermission('canCreateQuizzes'), handler(questionsController.deleteQuestion));
 
 module.exports = router;
\ No newline at end of file
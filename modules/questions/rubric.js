@@ -0,0 +1,96 @@
+// Question Rubrics (criteria with performance levels and points)
+
+// Question types graded by a teacher against a rubric
+const RUBRIC_TYPES = ['short', 'descriptive'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a rubric such as
+ * { criteria: [{ criterion_id: 'c1', title: 'Accuracy', levels: [{ level_id: 'full', label: 'Complete', points: 4 }, ...] }] }
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateRubric = (type, rubric) => {
+  if (rubric === undefined || rubric === null) return null;
+  if (!RUBRIC_TYPES.includes(type)) return `Rubrics can only be attached to ${RUBRIC_TYPES.join(' or ')} questions`;
+  if (typeof rubric !== 'object' || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return 'rubric.criteria must list at least one criterion';
+  }
+
+  const criterionIds = new Set();
+  for (const criterion of rubric.criteria) {
+    if (!criterion || !isNonEmptyString(criterion.criterion_id) || !isNonEmptyString(criterion.title)) {
+      return 'Each criterion needs a criterion_id and a title';
+    }
+    if (criterionIds.has(criterion.criterion_id)) return `Duplicate criterion_id: ${criterion.criterion_id}`;
+    criterionIds.add(criterion.criterion_id);
+
+    if (!Array.isArray(criterion.levels) || criterion.levels.length < 2) {
+      return `Criterion ${criterion.criterion_id} must have at least two levels`;
+    }
+    const levelIds = new Set();
+    for (const level of criterion.levels) {
+      if (!level || !isNonEmptyString(level.level_id) || !isNonEmptyString(level.label)) {
+        return `Each level of criterion ${criterion.criterion_id} needs a level_id and a label`;
+      }
+      if (typeof level.points !== 'number' || !Number.isFinite(level.points) || level.points < 0) {
+        return `Level ${level.level_id} of criterion ${criterion.criterion_id} needs non-negative points`;
+      }
+      if (levelIds.has(level.level_id)) return `Duplicate level_id ${level.level_id} in criterion ${criterion.criterion_id}`;
+      levelIds.add(level.level_id);
+    }
+  }
+
+  if (getMaxPoints(rubric) <= 0) return 'The rubric must award at least one point';
+  return null;
+};
+
+const getMaxPoints = (rubric) => rubric.criteria
+  .reduce((sum, criterion) => sum + Math.max(...criterion.levels.map(level => level.points)), 0);
+
+/**
+ * Score an answer against a rubric; marks scale the share of rubric points to the question's marks on the exam
+ * @param {Object} rubric - Validated rubric
+ * @param {Array} scores - [{ criterion_id, level_id, comment }], one per criterion
+ * @param {number} maxMarks - The question's marks on the exam
+ * @returns {Object} { error } or { marks_awarded, rubric_evaluation }
+ */
+const scoreRubric = (rubric, scores, maxMarks) => {
+  if (!Array.isArray(scores)) return { error: 'rubric_scores must be an array' };
+
+  const scoresById = new Map(scores.map(score => [score && score.criterion_id, score]));
+  const criteria = [];
+
+  for (const criterion of rubric.criteria) {
+    const score = scoresById.get(criterion.criterion_id);
+    if (!score) return { error: `Missing score for criterion ${criterion.criterion_id}` };
+    const level = criterion.levels.find(l => l.level_id === score.level_id);
+    if (!level) return { error: `Unknown level ${score.level_id} for criterion ${criterion.criterion_id}` };
+
+    criteria.push({
+      criterion_id: criterion.criterion_id,
+      title: criterion.title,
+      level_id: level.level_id,
+      level_label: level.label,
+      points: level.points,
+      max_points: Math.max(...criterion.levels.map(l => l.points)),
+      comment: score.comment || null
+    });
+  }
+  if (scoresById.size > rubric.criteria.length) return { error: 'rubric_scores include unknown criteria' };
+
+  const totalPoints = criteria.reduce((sum, c) => sum + c.points, 0);
+  const maxPoints = getMaxPoints(rubric);
+
+  return {
+    marks_awarded: round2((totalPoints / maxPoints) * (Number(maxMarks) || 0)),
+    rubric_evaluation: { criteria, total_points: totalPoints, max_points: maxPoints }
+  };
+};
+
+module.exports = {
+  RUBRIC_TYPES,
+  validateRubric,
+  scoreRubric
+};
@@ -0,0 +1,76 @@
+// Question Types & Answer Configuration Rules
+
+const QUESTION_TYPES = ['mcq', 'mcq_multi', 'true_false', 'short', 'descriptive', 'numeric', 'match', 'fill_blank'];
+
+// Types whose choices live in the question-options table
+const OPTION_TYPES = ['mcq', 'mcq_multi'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// numeric: { value, tolerance } for value ± tolerance, or { min, max } for an inclusive range
+const validateNumericConfig = (config) => {
+  const hasValue = config.value !== undefined;
+  const hasRange = config.min !== undefined || config.max !== undefined;
+  if (hasValue === hasRange) return 'numeric answer_config needs either value (with optional tolerance) or min and max';
+  if (hasValue) {
+    if (!isNumber(config.value)) return 'answer_config.value must be a number';
+    if (config.tolerance !== undefined && (!isNumber(config.tolerance) || config.tolerance < 0)) {
+      return 'answer_config.tolerance must be a non-negative number';
+    }
+    return null;
+  }
+  if (!isNumber(config.min) || !isNumber(config.max)) return 'answer_config.min and answer_config.max must be numbers';
+  if (config.min > config.max) return 'answer_config.min must not be greater than answer_config.max';
+  return null;
+};
+
+// match: { pairs: [{ left, right }] } with at least two pairs and unique left items
+const validateMatchConfig = (config) => {
+  if (!Array.isArray(config.pairs) || config.pairs.length < 2) return 'answer_config.pairs must list at least two pairs';
+  if (config.pairs.some(pair => !pair || !isNonEmptyString(pair.left) || !isNonEmptyString(pair.right))) {
+    return 'Each pair needs non-empty left and right values';
+  }
+  const lefts = config.pairs.map(pair => pair.left.trim().toLowerCase());
+  if (new Set(lefts).size !== lefts.length) return 'Pair left values must be unique';
+  return null;
+};
+
+// fill_blank: { blanks: [{ accepted: [..], case_sensitive }] }, one entry per blank in order
+const validateFillBlankConfig = (config) => {
+  if (!Array.isArray(config.blanks) || config.blanks.length === 0) return 'answer_config.blanks must list at least one blank';
+  const invalid = config.blanks.some(blank => !blank
+    || !Array.isArray(blank.accepted)
+    || blank.accepted.length === 0
+    || !blank.accepted.every(isNonEmptyString)
+    || (blank.case_sensitive !== undefined && typeof blank.case_sensitive !== 'boolean'));
+  if (invalid) return 'Each blank needs a non-empty accepted list of strings and an optional boolean case_sensitive';
+  return null;
+};
+
+const CONFIG_VALIDATORS = {
+  numeric: validateNumericConfig,
+  match: validateMatchConfig,
+  fill_blank: validateFillBlankConfig
+};
+
+/**
+ * Validate the answer_config for a question type
+ * @param {string} type - Question type
+ * @param {Object} config - answer_config from the request
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateAnswerConfig = (type, config) => {
+  const validator = CONFIG_VALIDATORS[type];
+  if (!validator) {
+    return config === undefined || config === null ? null : `answer_config is not used by ${type} questions`;
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return `answer_config is required for ${type} questions`;
+  return validator(config);
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  OPTION_TYPES,
+  validateAnswerConfig
+};
@@ -0,0 +1,305 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const service = require('./service');
+const answersService = require('../answers/service');
+const answersController = require('../answers/controller');
+const resultsService = require('../results/service');
+const notificationsService = require('../notifications/service');
+const blindGradingService = require('../blind-grading/service');
+const { isResultReleased, resolveResultRelease } = require('../exams/result-release');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const AUDIT_LOGS_TABLE = process.env.AUDIT_LOGS_TABLE || 'TestAuditLogs';
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,DELETE',
+    'Access-Control-Allow-Credentials': true
+  },
+  body: JSON.stringify(body)
+});
+
+// Helper function to create audit log
+const createAuditLog = async (userId, action, details, event) => {
+  try {
+    const ipAddress = event?.headers?.['X-Forwarded-For'] ||
+                     event?.headers?.['x-forwarded-for'] ||
+                     'Unknown';
+
+    await dynamoDB.put({
+      TableName: AUDIT_LOGS_TABLE,
+      Item: {
+        log_id: uuidv4(),
+        user_id: userId,
+        action: action,
+        module: 'ReEvaluation',
+        details: details,
+        ip_address: ipAddress,
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+      }
+    }).promise();
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
+const summarizeResult = (result) => (result ? { total_score: result.total_score, percentage: result.percentage } : null);
+
+const getRequestResult = async (request) => {
+  if (!request.attempt_id) return null;
+  return resultsService.getAttemptResult({ exam_id: request.exam_id, user_id: request.user_id, attempt_id: request.attempt_id });
+};
+
+// 1. Raise Re-Evaluation Request (student, against one graded answer or a whole result)
+async function raiseRequest(event) {
+  try {
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+    const userId = event.user?.userId;
+    if (!userId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const { answer_id, result_id, reason } = JSON.parse(event.body);
+    if (!answer_id && !result_id) return createResponse(400, { success: false, message: 'answer_id or result_id is required' });
+    if (!reason || !String(reason).trim()) return createResponse(400, { success: false, message: 'reason is required' });
+
+    let answer = null;
+    let result = null;
+    let gradedAt;
+    if (answer_id) {
+      answer = await answersService.getAnswer(answer_id);
+      if (!answer || answer.user_id !== userId) return createResponse(404, { success: false, message: 'Answer not found' });
+      if (answer.status !== 'evaluated') return createResponse(409, { success: false, message: 'Answer has not been graded yet' });
+      gradedAt = answer.evaluated_at;
+    } else {
+      result = await resultsService.getResult(result_id);
+      if (!result || result.user_id !== userId || result.status === 'inactive') {
+        return createResponse(404, { success: false, message: 'Result not found' });
+      }
+      gradedAt = result.created_at;
+    }
+
+    const examId = answer ? answer.exam_id : result.exam_id;
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
+    if (!isResultReleased(exam)) return createResponse(409, { success: false, message: 'Results for this exam have not been released yet' });
+
+    // The window opens when the student could first see the grade
+    const releasedAt = resolveResultRelease(exam).released_at;
+    const now = new Date();
+    if (now > service.getRequestWindowEnd(releasedAt && releasedAt > gradedAt ? releasedAt : gradedAt)) {
+      return createResponse(409, { success: false, message: `Re-evaluation requests must be raised within ${service.REQUEST_WINDOW_DAYS} days of grading` });
+    }
+    if (await service.findPendingRequest(userId, { answer_id, result_id })) {
+      return createResponse(409, { success: false, message: 'A re-evaluation request is already pending' });
+    }
+
+    const item = await service.createRequest({
+      request_id: uuidv4(),
+      exam_id: examId,
+      user_id: userId,
+      attempt_id: answer ? answer.attempt_id || null : result.attempt_id || null,
+      target_type: answer ? 'answer' : 'result',
+      answer_id: answer ? answer.answer_id : null,
+      question_id: answer ? answer.question_id : null,
+      result_id: result ? result.result_id : null,
+      reason: String(reason).trim(),
+      marks_before: answer ? answer.marks_awarded : result.total_score,
+      status: service.REQUEST_STATUS.PENDING,
+      respond_by: service.getRespondBy(now),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    });
+
+    await notificationsService.notifyUsers(service.getTeacherIds(exam, answer), {
+      type: 're_evaluation_requested',
+      title: 'Re-evaluation requested',
+      message: `A student asked for the ${item.target_type} on "${exam.exam_name}" to be re-evaluated`,
+      data: { request_id: item.request_id, exam_id: examId, respond_by: item.respond_by }
+    });
+
+    return createResponse(201, { success: true, message: 'Re-evaluation request raised', data: service.withDeadlineStatus(item) });
+  } catch (error) {
+    console.error('RaiseRequest Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to raise re-evaluation request', error: error.message });
+  }
+}
+
+// 2. Get My Re-Evaluation Requests
+async function getMyRequests(event) {
+  try {
+    const userId = event.user?.userId;
+    if (!userId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const requests = await service.getUserRequests(userId);
+    const data = requests
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(request => service.withDeadlineStatus(request));
+
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetMyRequests Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get re-evaluation requests', error: error.message });
+  }
+}
+
+// 3. Get Re-Evaluation Requests for an Exam (oldest deadline first)
+async function getExamRequests(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    const { status } = event.queryStringParameters || {};
+
+    const requests = await service.getExamRequests(examId);
+    const data = requests
+      .filter(request => !status || request.status === status)
+      .sort((a, b) => a.respond_by.localeCompare(b.respond_by))
+      .map(request => service.withDeadlineStatus(request));
+
+    return createResponse(200, { success: true, data, count: data.length });
+  } catch (error) {
+    console.error('GetExamRequests Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get re-evaluation requests', error: error.message });
+  }
+}
+
+// 4. Accept Re-Evaluation Request (re-grade through evaluateAnswer and recompute the result)
+async function acceptRequest(event) {
+  try {
+    const requestId = event.pathParameters?.requestId;
+    if (!requestId) return createResponse(400, { success: false, message: 'requestId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+    const resolverId = event.user?.userId;
+    if (!resolverId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const body = JSON.parse(event.body);
+    if (!body.comment) return createResponse(400, { success: false, message: 'comment is required' });
+
+    const request = await service.getRequest(requestId);
+    if (!request) return createResponse(404, { success: false, message: 'Re-evaluation request not found' });
+    if (request.status !== service.REQUEST_STATUS.PENDING) {
+      return createResponse(409, { success: false, message: `Request is already ${request.status}` });
+    }
+
+    // Answer requests take one new grade; result requests list the answers being re-graded
+    const regrades = request.target_type === 'answer'
+      ? [{ ...body, answer_id: request.answer_id }]
+      : (Array.isArray(body.answers) ? body.answers : []);
+    if (regrades.length === 0) return createResponse(400, { success: false, message: 'answers must list at least one re-graded answer' });
+
+    // Check every new grade before writing any, so a bad one cannot leave the paper half re-graded
+    const exam = await answersService.getExam(request.exam_id);
+    for (const regrade of regrades) {
+      const answer = regrade.answer_id ? await answersService.getAnswer(regrade.answer_id) : null;
+      if (!answer || answer.user_id !== request.user_id || answer.exam_id !== request.exam_id
+        || (request.attempt_id && answer.attempt_id !== request.attempt_id)) {
+        return createResponse(400, { success: false, message: `Answer ${regrade.answer_id} is not part of this request` });
+      }
+      // Double-marked answers are only re-graded through blind grading, which evaluateAnswer enforces
+      if (blindGradingService.isDoubleMarked(exam, await answersService.getAnswerEntry(answer))) {
+        return createResponse(409, { success: false, message: `Answer ${regrade.answer_id} is double-marked; re-grade it through blind grading` });
+      }
+      const grade = await answersService.resolveManualGrade(answer, regrade);
+      if (grade.error) return createResponse(400, { success: false, message: `Answer ${regrade.answer_id}: ${grade.error}` });
+    }
+
+    const resultBefore = await getRequestResult(request);
+    const regraded = [];
+    for (const regrade of regrades) {
+      const evaluation = await answersController.evaluateAnswer({
+        ...event,
+        pathParameters: { answerId: regrade.answer_id },
+        body: JSON.stringify({
+          marks_awarded: regrade.marks_awarded,
+          is_correct: regrade.is_correct,
+          rubric_scores: regrade.rubric_scores,
+          feedback: regrade.feedback
+        })
+      }, { evaluatedBy: resolverId });
+      if (evaluation.statusCode !== 200) return evaluation;
+      regraded.push(JSON.parse(evaluation.body).data);
+    }
+    const resultAfter = await getRequestResult(request);
+
+    const resolved = await service.resolveRequest(request, service.REQUEST_STATUS.ACCEPTED, resolverId, {
+      teacher_comment: body.comment,
+      marks_after: request.target_type === 'answer' ? regraded[0].marks_awarded : (resultAfter ? resultAfter.total_score : null),
+      result_before: summarizeResult(resultBefore),
+      result_after: summarizeResult(resultAfter),
+      regraded_answer_ids: regraded.map(a => a.answer_id)
+    });
+    if (!resolved) return createResponse(409, { success: false, message: 'Request was resolved by someone else' });
+
+    await createAuditLog(resolverId, 'RE_EVALUATION_ACCEPTED', {
+      requestId,
+      examId: request.exam_id,
+      studentId: request.user_id,
+      comment: body.comment,
+      marksBefore: request.marks_before,
+      marksAfter: resolved.marks_after,
+      resultBefore: resolved.result_before,
+      resultAfter: resolved.result_after
+    }, event);
+    await notificationsService.notifyUsers(request.user_id, {
+      type: 're_evaluation_accepted',
+      title: 'Re-evaluation completed',
+      message: body.comment,
+      data: { request_id: requestId, exam_id: request.exam_id, marks_before: request.marks_before, marks_after: resolved.marks_after }
+    });
+
+    return createResponse(200, { success: true, message: 'Re-evaluation request accepted', data: service.withDeadlineStatus(resolved) });
+  } catch (error) {
+    console.error('AcceptRequest Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to accept re-evaluation request', error: error.message });
+  }
+}
+
+// 5. Reject Re-Evaluation Request (with the teacher's comment)
+async function rejectRequest(event) {
+  try {
+    const requestId = event.pathParameters?.requestId;
+    if (!requestId) return createResponse(400, { success: false, message: 'requestId is required' });
+    if (!event.body) return createResponse(400, { success: false, message: 'Request body is required' });
+    const resolverId = event.user?.userId;
+    if (!resolverId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const { comment } = JSON.parse(event.body);
+    if (!comment) return createResponse(400, { success: false, message: 'comment is required' });
+
+    const request = await service.getRequest(requestId);
+    if (!request) return createResponse(404, { success: false, message: 'Re-evaluation request not found' });
+
+    const resolved = await service.resolveRequest(request, service.REQUEST_STATUS.REJECTED, resolverId, { teacher_comment: comment });
+    if (!resolved) return createResponse(409, { success: false, message: `Request is already ${request.status}` });
+
+    await createAuditLog(resolverId, 'RE_EVALUATION_REJECTED', {
+      requestId,
+      examId: request.exam_id,
+      studentId: request.user_id,
+      comment
+    }, event);
+    await notificationsService.notifyUsers(request.user_id, {
+      type: 're_evaluation_rejected',
+      title: 'Re-evaluation request declined',
+      message: comment,
+      data: { request_id: requestId, exam_id: request.exam_id }
+    });
+
+    return createResponse(200, { success: true, message: 'Re-evaluation request rejected', data: service.withDeadlineStatus(resolved) });
+  } catch (error) {
+    console.error('RejectRequest Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to reject re-evaluation request', error: error.message });
+  }
+}
+
+module.exports = {
+  raiseRequest,
+  getMyRequests,
+  getExamRequests,
+  acceptRequest,
+  rejectRequest
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const reEvaluationsController = require('./controller');
+const handler = require('../../helpers/handler');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+
+const router = express.Router();
+
+// Re-Evaluation Request Routes
+router.post('/', requirePermission('canViewOwnProgress'), handler(reEvaluationsController.raiseRequest));
+router.get('/mine', requirePermission('canViewOwnProgress'), handler(reEvaluationsController.getMyRequests));
+router.get('/exams/:examId', requirePermission('canGradeAssignments'), handler(reEvaluationsController.getExamRequests));
+router.post('/:requestId/accept', requirePermission('canGradeAssignments'), handler(reEvaluationsController.acceptRequest));
+router.post('/:requestId/reject', requirePermission('canGradeAssignments'), handler(reEvaluationsController.rejectRequest));
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// Business Logic for Re-Evaluation Requests
+
+const AWS = require('aws-sdk');
+const answersService = require('../answers/service');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  REQUESTS: process.env.RE_EVALUATION_REQUESTS_TABLE || 'TestReEvaluationRequests'
+};
+
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+// Days a student has to raise a request after grading, and a teacher has to answer it
+const REQUEST_WINDOW_DAYS = 7;
+const RESPONSE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============ DEADLINES ============
+// Closing time of the window for raising a request, counted from when the grade was given
+const getRequestWindowEnd = (gradedAt) => new Date(new Date(gradedAt).getTime() + REQUEST_WINDOW_DAYS * DAY_MS);
+
+const getRespondBy = (now = new Date()) => new Date(now.getTime() + RESPONSE_DAYS * DAY_MS).toISOString();
+
+const withDeadlineStatus = (request, now = new Date()) => ({
+  ...request,
+  is_overdue: request.status === REQUEST_STATUS.PENDING && now > new Date(request.respond_by)
+});
+
+// ============ REQUESTS ============
+const getRequest = async (requestId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.REQUESTS, Key: { request_id: requestId } }).promise();
+  return result.Item || null;
+};
+
+const getExamRequests = async (examId) => {
+  return answersService.queryAll({
+    TableName: TABLES.REQUESTS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+const getUserRequests = async (userId) => {
+  return answersService.queryAll({
+    TableName: TABLES.REQUESTS,
+    IndexName: 'userId-index',
+    KeyConditionExpression: 'user_id = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  });
+};
+
+// A student may only have one open request per answer or result
+const findPendingRequest = async (userId, target) => {
+  const requests = await getUserRequests(userId);
+  return requests.find(r => r.status === REQUEST_STATUS.PENDING
+    && (target.answer_id ? r.answer_id === target.answer_id : (!r.answer_id && r.result_id === target.result_id))) || null;
+};
+
+const createRequest = async (item) => {
+  await dynamoDB.put({ TableName: TABLES.REQUESTS, Item: item }).promise();
+  return item;
+};
+
+/**
+ * Close a pending request with the teacher's decision
+ * @returns {Object|null} Updated request, or null when it was already resolved
+ */
+const resolveRequest = async (request, status, resolverId, extra = {}) => {
+  const now = new Date().toISOString();
+  const values = { ':status': status, ':resolver': resolverId, ':now': now, ':pending': REQUEST_STATUS.PENDING };
+  let updateExpression = 'SET #status = :status, resolved_by = :resolver, resolved_at = :now, updated_at = :now';
+  Object.keys(extra).forEach(key => {
+    updateExpression += `, ${key} = :${key}`;
+    values[`:${key}`] = extra[key];
+  });
+
+  try {
+    const result = await dynamoDB.update({
+      TableName: TABLES.REQUESTS,
+      Key: { request_id: request.request_id },
+      UpdateExpression: updateExpression,
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+};
+
+// Teachers to tell about a new request: the exam's author and whoever graded the answer
+const getTeacherIds = (exam, answer) => {
+  const graders = answer ? [].concat(answer.evaluated_by || []) : [];
+  return [...new Set([exam.created_by, ...graders].filter(id => id && id !== 'auto'))];
+};
+
+module.exports = {
+  REQUEST_STATUS,
+  REQUEST_WINDOW_DAYS,
+  getRequestWindowEnd,
+  getRespondBy,
+  withDeadlineStatus,
+  getRequest,
+  getExamRequests,
+  getUserRequests,
+  findPendingRequest,
+  createRequest,
+  resolveRequest,
+  getTeacherIds
+};
@@ -1,10 +1,17 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const { Parser } = require('json2csv'); // for CSV export
+const service = require('./service');
+const answersService = require('../answers/service');
+const release = require('../exams/result-release');
+const gradeScales = require('./grade-scales');
+const leaderboard = require('./leaderboard');
+const trends = require('./trends');
 
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 
 const RESULTS_TABLE = process.env.RESULTS_TABLE || 'TestResults';
+const AUDIT_LOGS_TABLE = process.env.AUDIT_LOGS_TABLE || 'TestAuditLogs';
 
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -17,36 +24,60 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// 1. Generate Result after exam submission
+// Helper function to create audit log
+const createAuditLog = async (userId, action, details, event) => {
+  try {
+    const ipAddress = event?.headers?.['X-Forwarded-For'] ||
+                     event?.headers?.['x-forwarded-for'] ||
+                     'Unknown';
+
+    await dynamoDB.put({
+      TableName: AUDIT_LOGS_TABLE,
+      Item: {
+        log_id: uuidv4(),
+        user_id: userId,
+        action: action,
+        module: 'Result',
+        details: details,
+        ip_address: ipAddress,
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+      }
+    }).promise();
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
+// 1. Generate Result after exam submission (computed from the attempt's evaluated answers)
 async function generateResult(event) {
   try {
     if (!event || !event.body) return createResponse(400, { success: false, message: 'Request body is required' });
-    const { user_id, exam_id, total_score, total_possible, remarks = '', status = 'active' } = JSON.parse(event.body);
+    const { user_id, exam_id, attempt_id, remarks } = JSON.parse(event.body);
 
-    if (!user_id || !exam_id || total_score === undefined || total_possible === undefined) {
-      return createResponse(400, { success: false, message: 'Missing required fields' });
+    if (!user_id || !exam_id) {
+      return createResponse(400, { success: false, message: 'user_id and exam_id are required' });
     }
 
-    const percentage = total_possible > 0 ? (total_score / total_possible) * 100 : 0;
-    const now = new Date().toISOString();
-    const resultId = uuidv4();
-
-    const item = {
-      result_id: resultId,
-      user_id,
-      exam_id,
-      total_score,
-      total_possible,
-      percentage,
-      remarks,
-      status: status.toLowerCase(),
-      created_at: now,
-      updated_at: now
-    };
+    const attempts = await answersService.getUserAttempts(exam_id, user_id);
+    const refreshed = await Promise.all(attempts.map(a => answersService.refreshAttempt(a)));
+    const closed = refreshed.filter(a => !answersService.isAttemptOpen(a));
+    const attempt = attempt_id
+      ? closed.find(a => a.attempt_id === attempt_id)
+      : closed[closed.length - 1];
+
+    if (!attempt) {
+      return createResponse(409, { success: false, message: 'No submitted exam attempt found for this user' });
+    }
 
-    await dynamoDB.put({ TableName: RESULTS_TABLE, Item: item }).promise();
+    const { result, created } = await service.generateAttemptResult(attempt, { remarks });
 
-    return createResponse(201, { success: true, message: 'Result generated', data: item });
+    return createResponse(created ? 201 : 200, {
+      success: true,
+      message: result.evaluation_pending ? 'Result generated; manual evaluation is still pending' : 'Result generated',
+      data: result
+    });
   } catch (error) {
     console.error('GenerateResult Error:', error);
     return createResponse(500, { success: false, message: 'Failed to generate result', error: error.message });
@@ -65,14 +96,32 @@ async function getUserResult(event) {
       TableName: RESULTS_TABLE,
       IndexName: 'userExam-index',
       KeyConditionExpression: 'user_id = :userId AND exam_id = :examId',
-      ExpressionAttributeValues: { ':userId': userId, ':examId': examId },
-      Limit: 1
+      ExpressionAttributeValues: { ':userId': userId, ':examId': examId }
     };
 
-    const result = await dynamoDB.query(params).promise();
-    if (result.Items.length === 0) return createResponse(404, { success: false, message: 'Result not found' });
+    const results = await answersService.queryAll(params);
+    if (results.length === 0) return createResponse(404, { success: false, message: 'Result not found' });
+
+    // The exam's scoring policy decides which attempt counts
+    const [counted] = await service.applyScoringPolicy(results);
+    const attempts = results.sort((a, b) => (a.attempt_no || 1) - (b.attempt_no || 1));
+    if (release.isEmbargoExempt(event.user)) return createResponse(200, { success: true, data: counted, attempts });
+
+    const exam = await answersService.getExam(examId);
+    if (!release.isResultReleased(exam)) {
+      const { status, release_at } = release.resolveResultRelease(exam);
+      return createResponse(403, {
+        success: false,
+        message: 'Results for this exam have not been released yet',
+        release_at: status === release.RELEASE_STATUS.SCHEDULED ? release_at : null
+      });
+    }
 
-    return createResponse(200, { success: true, data: result.Items[0] });
+    return createResponse(200, {
+      success: true,
+      data: release.filterResult(exam, counted),
+      attempts: attempts.map(result => release.filterResult(exam, result))
+    });
   } catch (error) {
     console.error('GetUserResult Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get user result', error: error.message });
@@ -116,9 +165,20 @@ async function getAllResultsForUser(event) {
       ExpressionAttributeValues: { ':userId': userId }
     };
 
-    const result = await dynamoDB.query(params).promise();
+    const results = await answersService.queryAll(params);
+    // One counted result per exam unless every attempt is asked for
+    let data = event.queryStringParameters?.allAttempts === 'true'
+      ? results
+      : await service.applyScoringPolicy(results);
+
+    // Students and parents only see results their exams have released
+    if (!release.isEmbargoExempt(event.user)) {
+      const examIds = [...new Set(data.map(r => r.exam_id))];
+      const exams = new Map((await Promise.all(examIds.map(id => answersService.getExam(id)))).map((exam, i) => [examIds[i], exam]));
+      data = data.map(r => release.filterResult(exams.get(r.exam_id), r)).filter(Boolean);
+    }
 
-    return createResponse(200, { success: true, data: result.Items, count: result.Items.length });
+    return createResponse(200, { success: true, data, count: data.length });
   } catch (error) {
     console.error('GetAllResultsForUser Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get results for user', error: error.message });
@@ -135,23 +195,65 @@ async function updateResult(event) {
     const updates = JSON.parse(event.body);
 
     const allowedFields = ['remarks', 'total_score', 'percentage', 'status'];
+    // Changes to what the student scored must say why, and the reason stays on the result
+    const scoreFields = ['total_score', 'percentage', 'status'];
+    const reason = typeof updates.reason === 'string' ? updates.reason.trim() : '';
+    if (scoreFields.some(key => updates[key] !== undefined) && !reason) {
+      return createResponse(400, { success: false, message: 'reason is required when changing total_score, percentage or status' });
+    }
+    if (['total_score', 'percentage'].some(key => updates[key] !== undefined && (typeof updates[key] !== 'number' || !Number.isFinite(updates[key])))) {
+      return createResponse(400, { success: false, message: 'total_score and percentage must be numbers' });
+    }
 
-    let updateExpression = 'SET updated_at = :updated_at';
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = { ':updated_at': new Date().toISOString() };
+    const existing = await service.getResult(resultId);
+    if (!existing) return createResponse(404, { success: false, message: 'Result not found' });
 
-    Object.keys(updates).forEach(key => {
-      if (allowedFields.includes(key)) {
-        updateExpression += `, #${key} = :${key}`;
-        expressionAttributeNames[`#${key}`] = key;
-        expressionAttributeValues[`:${key}`] = key === 'status' ? updates[key].toLowerCase() : updates[key];
-      }
+    const fields = {};
+    allowedFields.forEach(key => {
+      if (updates[key] !== undefined) fields[key] = key === 'status' ? String(updates[key]).toLowerCase() : updates[key];
     });
 
-    if (Object.keys(expressionAttributeNames).length === 0) {
+    if (Object.keys(fields).length === 0) {
       return createResponse(400, { success: false, message: 'No valid fields to update' });
     }
 
+    // A new score is kept as an adjustment on the computed score, so regenerating the result keeps it,
+    // and gets its grade and pass/fail from the exam's grading scheme again
+    if (fields.total_score !== undefined || fields.percentage !== undefined) {
+      const totalPossible = existing.total_possible || 0;
+      const totalScore = fields.total_score !== undefined ? fields.total_score : Math.round(fields.percentage * totalPossible) / 100;
+      const computedScore = service.getComputedScore(existing);
+      const adjustment = {
+        marks: Math.round((totalScore - computedScore) * 100) / 100,
+        reason,
+        changed_by: event.user?.userId || null,
+        changed_at: new Date().toISOString()
+      };
+      const adjusted = service.applyScoreAdjustment({ total_score: computedScore, total_possible: totalPossible }, adjustment);
+      fields.total_score = adjusted.total_score;
+      fields.percentage = adjusted.percentage;
+      fields.computed_total_score = computedScore;
+      fields.score_adjustment = adjustment;
+
+      const exam = await answersService.getExam(existing.exam_id);
+      const gradingScheme = await gradeScales.resolveGradingScheme(exam);
+      Object.assign(fields, gradeScales.gradeScore({ percentage: fields.percentage, section_breakdown: existing.section_breakdown }, gradingScheme));
+    }
+    if (reason) {
+      fields.change_reason = reason;
+      fields.changed_by = event.user?.userId || null;
+    }
+
+    let updateExpression = 'SET updated_at = :updated_at';
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = { ':updated_at': new Date().toISOString() };
+
+    Object.keys(fields).forEach(key => {
+      updateExpression += `, #${key} = :${key}`;
+      expressionAttributeNames[`#${key}`] = key;
+      expressionAttributeValues[`:${key}`] = fields[key];
+    });
+
     const params = {
       TableName: RESULTS_TABLE,
       Key: { result_id: resultId },
@@ -163,6 +265,23 @@ async function updateResult(event) {
 
     const result = await dynamoDB.update(params).promise();
 
+    // Manual changes keep a trace of what changed and why
+    const changed = Object.keys(fields).filter(key => !['change_reason', 'changed_by', 'computed_total_score', 'score_adjustment'].includes(key));
+    const before = {};
+    const after = {};
+    changed.forEach(key => {
+      before[key] = existing[key];
+      after[key] = result.Attributes[key];
+    });
+    await createAuditLog(event.user?.userId || null, 'RESULT_UPDATED', {
+      resultId,
+      examId: existing.exam_id,
+      studentId: existing.user_id,
+      before,
+      after,
+      reason: reason || null
+    }, event);
+
     return createResponse(200, { success: true, message: 'Result updated', data: result.Attributes });
   } catch (error) {
     console.error('UpdateResult Error:', error);
@@ -194,24 +313,29 @@ async function deleteResult(event) {
   }
 }
 
-// 7. Leaderboard - top students by total_score in an exam
+// Students only see an exam's rank list once its scores are released
+const checkLeaderboardAccess = async (examId, user) => {
+  if (release.isEmbargoExempt(user)) return null;
+  const exam = await answersService.getExam(examId);
+  if (!release.isResultReleased(exam) || !release.resolveResultRelease(exam).visibility.score) {
+    return createResponse(403, { success: false, message: 'Results for this exam have not been released yet' });
+  }
+  return null;
+};
+
+// 7. Leaderboard - students ranked by total_score in an exam (?limit, ?offset)
 async function getLeaderboard(event) {
   try {
     const examId = event.pathParameters?.examId;
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
 
-    const params = {
-      TableName: RESULTS_TABLE,
-      IndexName: 'examId-index',
-      KeyConditionExpression: 'exam_id = :examId',
-      ExpressionAttributeValues: { ':examId': examId }
-    };
-
-    const result = await dynamoDB.query(params).promise();
+    const denied = await checkLeaderboardAccess(examId, event.user);
+    if (denied) return denied;
 
-    const sorted = result.Items.sort((a,b) => (b.total_score || 0) - (a.total_score || 0)).slice(0, 10);
+    const ranked = await leaderboard.rankExam(examId);
+    const data = await leaderboard.presentLeaderboard(ranked, event.user, leaderboard.parsePage(event.queryStringParameters));
 
-    return createResponse(200, { success: true, data: sorted });
+    return createResponse(200, { success: true, data });
   } catch (error) {
     console.error('GetLeaderboard Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get leaderboard', error: error.message });
@@ -224,22 +348,20 @@ async function getResultSummary(event) {
     const examId = event.pathParameters?.examId;
     if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
 
-    const params = {
-      TableName: RESULTS_TABLE,
-      IndexName: 'examId-index',
-      KeyConditionExpression: 'exam_id = :examId',
-      ExpressionAttributeValues: { ':examId': examId }
-    };
-
-    const result = await dynamoDB.query(params).promise();
+    const exam = await answersService.getExam(examId);
+    if (!exam) return createResponse(404, { success: false, message: 'Exam not found' });
 
-    const items = result.Items;
+    // One counted result per student, graded under the exam's current scale and pass rules
+    const scheme = await gradeScales.resolveGradingScheme(exam);
+    const counted = await service.getCountedExamResults(examId);
+    const items = counted.map(r => ({ ...r, ...gradeScales.gradeScore(r, scheme) }));
 
     const totalStudents = items.length;
     const totalMarksSum = items.reduce((sum, r) => sum + (r.total_score || 0), 0);
     const avgMarks = totalStudents > 0 ? totalMarksSum / totalStudents : 0;
-    const passCount = items.filter(r => r.percentage >= 40).length; // Example pass % threshold
+    const passCount = items.filter(r => r.passed).length;
     const passPercentage = totalStudents > 0 ? (passCount / totalStudents) * 100 : 0;
+    const stats = gradeScales.describeScores(items);
 
     const topPerformers = items.sort((a,b) => (b.total_score || 0) - (a.total_score || 0)).slice(0, 5);
 
@@ -248,11 +370,22 @@ async function getResultSummary(event) {
       data: {
         totalStudents,
         avgMarks,
+        passCount,
         passPercentage,
+        percentageStats: {
+          mean: stats.mean,
+          median: stats.median,
+          standardDeviation: stats.standard_deviation,
+          highest: stats.highest,
+          lowest: stats.lowest
+        },
+        histogram: stats.histogram,
+        gradeDistribution: gradeScales.gradeDistribution(items, scheme),
+        failedBySection: items.filter(r => r.failed_sections.length > 0).length,
+        gradingScheme: scheme,
         topPerformers
       }
     });
-
   } catch (error) {
     console.error('GetResultSummary Error:', error);
     return createResponse(500, { success: false, message: 'Failed to get result summary', error: error.message });
@@ -295,6 +428,194 @@ async function exportResults(event) {
   }
 }
 
+// 10. Item Analysis (difficulty, discrimination, distractors, time and omissions per question)
+async function getItemAnalysis(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+
+    const report = await service.buildItemAnalysis(examId);
+
+    return createResponse(200, { success: true, data: report, count: report.items.length });
+  } catch (error) {
+    console.error('GetItemAnalysis Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get item analysis', error: error.message });
+  }
+}
+
+// 11. Export Item Analysis (CSV, one row per question option for MCQs)
+async function exportItemAnalysis(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+
+    const { items } = await service.buildItemAnalysis(examId);
+
+    const rows = [];
+    items.forEach(item => {
+      const { distractors, ...stats } = item;
+      if (!distractors || distractors.length === 0) {
+        rows.push(stats);
+        return;
+      }
+      distractors.forEach(option => rows.push({
+        ...stats,
+        option_id: option.option_id,
+        option_text: option.option_text,
+        option_is_correct: option.is_correct,
+        option_picked: option.picked,
+        option_pick_rate: option.pick_rate
+      }));
+    });
+
+    const fields = [
+      'question_id', 'question_text', 'type', 'chapter_id', 'marks', 'appeared', 'answered', 'correct',
+      'evaluation_pending', 'difficulty_index', 'discrimination_index', 'omission_rate', 'avg_time_spent_seconds',
+      'option_id', 'option_text', 'option_is_correct', 'option_picked', 'option_pick_rate'
+    ];
+
+    const parser = new Parser({ fields });
+    const csv = parser.parse(rows);
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/csv",
+        "Content-Disposition": `attachment; filename="exam_${examId}_item_analysis.csv"`
+      },
+      body: csv
+    };
+
+  } catch (error) {
+    console.error('ExportItemAnalysis Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to export item analysis', error: error.message });
+  }
+}
+
+// 12. My Rank in an exam
+async function getMyRank(event) {
+  try {
+    const examId = event.pathParameters?.examId;
+    const userId = event.user?.userId;
+    if (!examId) return createResponse(400, { success: false, message: 'examId is required' });
+    if (!userId) return createResponse(401, { success: false, message: 'Authentication required' });
+
+    const denied = await checkLeaderboardAccess(examId, event.user);
+    if (denied) return denied;
+
+    const ranked = await leaderboard.rankExam(examId);
+    const mine = ranked.find(entry => entry.user_id === userId);
+    if (!mine) return createResponse(404, { success: false, message: 'No result found for you in this exam' });
+
+    return createResponse(200, { success: true, data: { ...mine, total_candidates: ranked.length } });
+  } catch (error) {
+    console.error('GetMyRank Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get rank', error: error.message });
+  }
+}
+
+// Shared by the course, standard and batch leaderboards: window, ranking across exams and paging
+const respondWithSegmentLeaderboard = async (event, segment, exams, userIds = null) => {
+  const window = leaderboard.resolveWindow(event.queryStringParameters || {});
+  if (typeof window === 'string') return createResponse(400, { success: false, message: window });
+
+  const { exams: included, ranked } = await leaderboard.rankAcrossExams(exams, { window, viewer: event.user, userIds });
+  const data = await leaderboard.presentLeaderboard(ranked, event.user, leaderboard.parsePage(event.queryStringParameters));
+
+  return createResponse(200, {
+    success: true,
+    data: {
+      ...segment,
+      from: window.from ? window.from.toISOString() : null,
+      to: window.to ? window.to.toISOString() : null,
+      exams: included,
+      ...data
+    }
+  });
+};
+
+// 13. Course Leaderboard (across the course's exams; ?week or ?from/?to for weekly and dated lists)
+async function getCourseLeaderboard(event) {
+  try {
+    const courseId = event.pathParameters?.courseId;
+    if (!courseId) return createResponse(400, { success: false, message: 'courseId is required' });
+
+    const exams = await leaderboard.getCourseExams([courseId]);
+    return await respondWithSegmentLeaderboard(event, { course_id: courseId }, exams);
+  } catch (error) {
+    console.error('GetCourseLeaderboard Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get course leaderboard', error: error.message });
+  }
+}
+
+// 14. Standard Leaderboard (across every exam for the standard)
+async function getStandardLeaderboard(event) {
+  try {
+    const standardId = event.pathParameters?.standardId;
+    if (!standardId) return createResponse(400, { success: false, message: 'standardId is required' });
+
+    const exams = await leaderboard.getStandardExams(standardId);
+    return await respondWithSegmentLeaderboard(event, { standard_id: standardId }, exams);
+  } catch (error) {
+    console.error('GetStandardLeaderboard Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get standard leaderboard', error: error.message });
+  }
+}
+
+// 15. Batch Leaderboard (the batch's students, across their courses' exams)
+async function getBatchLeaderboard(event) {
+  try {
+    const batchId = event.pathParameters?.batchId;
+    if (!batchId) return createResponse(400, { success: false, message: 'batchId is required' });
+
+    const members = await leaderboard.getBatchMembers(batchId);
+    if (members.userIds.size === 0) return createResponse(404, { success: false, message: 'No active enrollments found for this batch' });
+
+    const exams = await leaderboard.getCourseExams(members.courseIds);
+    return await respondWithSegmentLeaderboard(event, { batch_id: batchId }, exams, members.userIds);
+  } catch (error) {
+    console.error('GetBatchLeaderboard Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get batch leaderboard', error: error.message });
+  }
+}
+
+// 16. Student Performance Trends (trajectory, subject/chapter strengths, class comparison; ?subjectId, ?type)
+async function getStudentTrends(event) {
+  try {
+    const userId = event.pathParameters?.userId;
+    if (!userId) return createResponse(400, { success: false, message: 'userId is required' });
+    const { subjectId, type } = event.queryStringParameters || {};
+
+    const results = await answersService.queryAll({
+      TableName: RESULTS_TABLE,
+      IndexName: 'userId-index',
+      KeyConditionExpression: 'user_id = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    });
+    const counted = await service.applyScoringPolicy(results.filter(r => r.status !== 'inactive'));
+
+    const examIds = [...new Set(counted.map(r => r.exam_id))];
+    const exams = new Map((await Promise.all(examIds.map(id => answersService.getExam(id)))).map((exam, i) => [examIds[i], exam]));
+
+    // Students and parents only see exams whose scores are released
+    const exempt = release.isEmbargoExempt(event.user);
+    const visible = counted.filter(r => {
+      const exam = exams.get(r.exam_id);
+      if (!exam) return false;
+      if (subjectId && exam.subject_id !== subjectId) return false;
+      if (type && exam.type !== type) return false;
+      return exempt || (release.isResultReleased(exam) && release.resolveResultRelease(exam).visibility.score);
+    });
+
+    const data = await trends.buildStudentTrends(visible, exams);
+
+    return createResponse(200, { success: true, data: { user_id: userId, ...data } });
+  } catch (error) {
+    console.error('GetStudentTrends Error:', error);
+    return createResponse(500, { success: false, message: 'Failed to get student trends', error: error.message });
+  }
+}
+
 module.exports = {
   generateResult: generateResult,
   getUserResult,
@@ -303,8 +624,15 @@ module.exports = {
   updateResult,
   deleteResult,
   getLeaderboard,
+  getMyRank,
+  getCourseLeaderboard,
+  getStandardLeaderboard,
+  getBatchLeaderboard,
+  getStudentTrends,
   getResultSummary,
   exportResults,
+  getItemAnalysis,
+  exportItemAnalysis,
   // submitAnswer,
   // getUserAnswers,
   // updateAnswer,
@@ -0,0 +1,202 @@
+// Grade Scales, Pass Criteria and Score Statistics
+
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const COURSES_TABLE = process.env.COURSES_TABLE || 'TestCourses';
+
+// Bands are checked from the top; a result gets the first band whose min_percentage it reaches
+const GRADE_SCALES = {
+  letter: [
+    { grade: 'A', min_percentage: 90, grade_point: 4 },
+    { grade: 'B', min_percentage: 80, grade_point: 3 },
+    { grade: 'C', min_percentage: 70, grade_point: 2 },
+    { grade: 'D', min_percentage: 60, grade_point: 1 },
+    { grade: 'F', min_percentage: 0, grade_point: 0 }
+  ],
+  cbse: [
+    { grade: 'A1', min_percentage: 91, grade_point: 10 },
+    { grade: 'A2', min_percentage: 81, grade_point: 9 },
+    { grade: 'B1', min_percentage: 71, grade_point: 8 },
+    { grade: 'B2', min_percentage: 61, grade_point: 7 },
+    { grade: 'C1', min_percentage: 51, grade_point: 6 },
+    { grade: 'C2', min_percentage: 41, grade_point: 5 },
+    { grade: 'D', min_percentage: 33, grade_point: 4 },
+    { grade: 'E', min_percentage: 0, grade_point: 0 }
+  ],
+  tn_state: [
+    { grade: 'A1', min_percentage: 91, grade_point: 10 },
+    { grade: 'A2', min_percentage: 81, grade_point: 9 },
+    { grade: 'B1', min_percentage: 71, grade_point: 8 },
+    { grade: 'B2', min_percentage: 61, grade_point: 7 },
+    { grade: 'C1', min_percentage: 51, grade_point: 6 },
+    { grade: 'C2', min_percentage: 41, grade_point: 5 },
+    { grade: 'D', min_percentage: 35, grade_point: 4 },
+    { grade: 'E1', min_percentage: 21, grade_point: 0 },
+    { grade: 'E2', min_percentage: 0, grade_point: 0 }
+  ]
+};
+
+// Board defaults, keyed by the syllabus ids in hierarchy-seed
+const SYLLABUS_GRADING = {
+  SYL_NCERT: { grade_scale: 'cbse', pass_criteria: { min_percentage: 33 } },
+  SYL_TNST: { grade_scale: 'tn_state', pass_criteria: { min_percentage: 35 } }
+};
+
+const DEFAULT_GRADING = { grade_scale: 'letter', pass_criteria: { min_percentage: 40, section_minimums: {} } };
+
+const HISTOGRAM_BUCKET = 10;
+
+const isPercentage = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============ VALIDATION ============
+/**
+ * Validate an exam's grading_scheme such as
+ * { grade_scale: 'cbse' | [{ grade, min_percentage, grade_point }], pass_criteria: { min_percentage, section_minimums: { [section_id]: 35 } } }
+ * @returns {string|null} Validation message, or null when valid
+ */
+const validateGradingScheme = (scheme) => {
+  if (scheme === undefined || scheme === null) return null;
+  if (typeof scheme !== 'object' || Array.isArray(scheme)) return 'grading_scheme must be an object';
+
+  const { grade_scale, pass_criteria } = scheme;
+  if (typeof grade_scale === 'string' && !GRADE_SCALES[grade_scale]) {
+    return `Unknown grade_scale, must be one of: ${Object.keys(GRADE_SCALES).join(', ')} or a list of bands`;
+  }
+  if (Array.isArray(grade_scale)) {
+    if (grade_scale.length === 0) return 'grade_scale must have at least one band';
+    if (grade_scale.some(band => !band || !band.grade || !isPercentage(band.min_percentage)
+      || (band.grade_point !== undefined && (typeof band.grade_point !== 'number' || !Number.isFinite(band.grade_point))))) {
+      return 'Each grade band needs a grade, a min_percentage between 0 and 100 and an optional numeric grade_point';
+    }
+    if (!grade_scale.some(band => band.min_percentage === 0)) return 'grade_scale needs a band starting at 0%';
+  } else if (grade_scale !== undefined && typeof grade_scale !== 'string') {
+    return 'grade_scale must be a scale name or a list of bands';
+  }
+
+  if (pass_criteria !== undefined) {
+    if (!pass_criteria || typeof pass_criteria !== 'object') return 'pass_criteria must be an object';
+    if (pass_criteria.min_percentage !== undefined && !isPercentage(pass_criteria.min_percentage)) {
+      return 'pass_criteria.min_percentage must be between 0 and 100';
+    }
+    const sections = pass_criteria.section_minimums;
+    if (sections !== undefined && (!sections || typeof sections !== 'object' || Object.values(sections).some(v => !isPercentage(v)))) {
+      return 'pass_criteria.section_minimums must map section ids to percentages between 0 and 100';
+    }
+  }
+  return null;
+};
+
+// ============ RESOLUTION ============
+/**
+ * Grading for an exam: the exam's own grading_scheme, else its course's syllabus default, else letter grades with a 40% pass
+ * @returns {Object} { grade_scale: [bands, highest first], pass_criteria: { min_percentage, section_minimums }, source }
+ */
+const resolveGradingScheme = async (exam) => {
+  let base = DEFAULT_GRADING;
+  let source = 'default';
+
+  if (exam && exam.course_id) {
+    const course = (await dynamoDB.get({ TableName: COURSES_TABLE, Key: { course_id: exam.course_id } }).promise()).Item;
+    if (course && SYLLABUS_GRADING[course.syllabus_id]) {
+      base = SYLLABUS_GRADING[course.syllabus_id];
+      source = `syllabus:${course.syllabus_id}`;
+    }
+  }
+
+  const own = (exam && exam.grading_scheme) || {};
+  if (exam && exam.grading_scheme) source = 'exam';
+  const scale = own.grade_scale || base.grade_scale;
+  const bands = typeof scale === 'string' ? GRADE_SCALES[scale] : scale;
+
+  return {
+    grade_scale: [...bands].sort((a, b) => b.min_percentage - a.min_percentage),
+    pass_criteria: {
+      ...DEFAULT_GRADING.pass_criteria,
+      ...base.pass_criteria,
+      ...(own.pass_criteria || {})
+    },
+    source
+  };
+};
+
+// ============ GRADING ============
+const getGrade = (percentage, gradeScale) => {
+  const band = gradeScale.find(b => (percentage || 0) >= b.min_percentage) || gradeScale[gradeScale.length - 1];
+  return { grade: band.grade, grade_point: band.grade_point ?? null };
+};
+
+/**
+ * Grade and pass/fail for a computed score; every listed section must also reach its minimum
+ * @param {Object} score - { percentage, section_breakdown }
+ * @returns {Object} { grade, grade_point, passed, failed_sections }
+ */
+const gradeScore = (score, scheme) => {
+  const { min_percentage, section_minimums } = scheme.pass_criteria;
+  const failedSections = Object.entries(section_minimums || {})
+    .filter(([sectionId, minimum]) => {
+      const section = score.section_breakdown && score.section_breakdown[sectionId];
+      return section && section.percentage < minimum;
+    })
+    .map(([sectionId]) => sectionId);
+
+  return {
+    ...getGrade(score.percentage, scheme.grade_scale),
+    passed: (score.percentage || 0) >= min_percentage && failedSections.length === 0,
+    failed_sections: failedSections
+  };
+};
+
+// ============ STATISTICS ============
+/**
+ * Spread of percentages across results
+ * @param {Array} results - Counted results (one per student)
+ * @returns {Object} { count, mean, median, standard_deviation, highest, lowest, histogram }
+ */
+const describeScores = (results) => {
+  const values = results.map(r => r.percentage || 0).sort((a, b) => a - b);
+  const count = values.length;
+  // Negative marking can push a percentage below 0; those students land in the lowest bucket
+  const bucketed = values.map(v => Math.min(100, Math.max(0, v)));
+  const histogram = [];
+  for (let from = 0; from < 100; from += HISTOGRAM_BUCKET) {
+    const to = from + HISTOGRAM_BUCKET;
+    histogram.push({
+      range: `${from}-${to}`,
+      count: bucketed.filter(v => v >= from && (to === 100 ? v <= to : v < to)).length
+    });
+  }
+  if (count === 0) return { count, mean: 0, median: 0, standard_deviation: 0, highest: null, lowest: null, histogram };
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  const middle = Math.floor(count / 2);
+  const median = count % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+
+  return {
+    count,
+    mean: round2(mean),
+    median: round2(median),
+    standard_deviation: round2(Math.sqrt(variance)),
+    highest: values[count - 1],
+    lowest: values[0],
+    histogram
+  };
+};
+
+// Students per grade, in scale order (highest first)
+const gradeDistribution = (results, scheme) => scheme.grade_scale.map(band => ({
+  grade: band.grade,
+  count: results.filter(r => getGrade(r.percentage, scheme.grade_scale).grade === band.grade).length
+}));
+
+module.exports = {
+  GRADE_SCALES,
+  validateGradingScheme,
+  resolveGradingScheme,
+  gradeScore,
+  describeScores,
+  gradeDistribution
+};
@@ -0,0 +1,92 @@
+// Item Analysis (question quality statistics)
+
+const { OPTION_TYPES } = require('../questions/types');
+const { findSelectedOption, isBlank, parseSelection } = require('../answers/evaluator');
+
+// Upper and lower groups for the discrimination index (Kelley's 27%)
+const GROUP_SHARE = 0.27;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const ratio = (part, whole) => (whole > 0 ? round2(part / whole) : null);
+
+// Option ids an answer picked (single or multi-select)
+const getPickedOptionIds = (entry, answerText) => {
+  const values = entry.question.type === 'mcq_multi' ? parseSelection(answerText) : [answerText];
+  const picked = new Set();
+  values.forEach(value => {
+    const option = findSelectedOption(entry.options, typeof value === 'string' ? value.trim() : value);
+    if (option) picked.add(option.option_id);
+  });
+  return picked;
+};
+
+const discriminationIndex = (sittings) => {
+  if (sittings.length < 2) return null;
+  const groupSize = Math.max(1, Math.round(sittings.length * GROUP_SHARE));
+  const ranked = [...sittings].sort((a, b) => b.percentage - a.percentage);
+  const correctIn = (group) => group.filter(s => s.answer && s.answer.is_correct === true).length;
+  return round2((correctIn(ranked.slice(0, groupSize)) - correctIn(ranked.slice(-groupSize))) / groupSize);
+};
+
+/**
+ * Per-question statistics across an exam's closed attempts
+ * @param {Array} attempts - [{ attempt_id, percentage, questionSet, answersByQuestion }]
+ * @returns {Array} One report row per question, in first-seen order
+ */
+const analyzeItems = (attempts) => {
+  const items = new Map();
+
+  attempts.forEach(attempt => {
+    attempt.questionSet.forEach(entry => {
+      if (!items.has(entry.question_id)) items.set(entry.question_id, { entry, sittings: [] });
+      items.get(entry.question_id).sittings.push({
+        percentage: attempt.percentage,
+        answer: attempt.answersByQuestion.get(entry.question_id) || null
+      });
+    });
+  });
+
+  return [...items.values()].map(({ entry, sittings }) => {
+    const answered = sittings.filter(s => s.answer && !isBlank(s.answer.answer_text));
+    const correct = sittings.filter(s => s.answer && s.answer.is_correct === true).length;
+    const pending = sittings.filter(s => s.answer && s.answer.status !== 'evaluated').length;
+    const timed = answered.filter(s => typeof s.answer.time_spent_seconds === 'number');
+
+    const report = {
+      question_id: entry.question_id,
+      question_text: entry.question.question_text,
+      type: entry.question.type,
+      chapter_id: entry.question.chapter_id || null,
+      marks: entry.marks,
+      appeared: sittings.length,
+      answered: answered.length,
+      correct,
+      evaluation_pending: pending,
+      difficulty_index: ratio(correct, sittings.length),
+      discrimination_index: discriminationIndex(sittings),
+      omission_rate: ratio(sittings.length - answered.length, sittings.length),
+      avg_time_spent_seconds: timed.length > 0
+        ? round2(timed.reduce((sum, s) => sum + s.answer.time_spent_seconds, 0) / timed.length)
+        : null,
+      distractors: null
+    };
+
+    if (OPTION_TYPES.includes(entry.question.type)) {
+      const picks = new Map(entry.options.map(option => [option.option_id, 0]));
+      answered.forEach(s => getPickedOptionIds(entry, s.answer.answer_text).forEach(id => picks.set(id, picks.get(id) + 1)));
+      report.distractors = entry.options.map(option => ({
+        option_id: option.option_id,
+        option_text: option.option_text,
+        is_correct: option.is_correct === true,
+        picked: picks.get(option.option_id),
+        pick_rate: ratio(picks.get(option.option_id), answered.length)
+      }));
+    }
+
+    return report;
+  });
+};
+
+module.exports = {
+  analyzeItems
+};
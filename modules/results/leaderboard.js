@@ -0,0 +1,226 @@
+// Rank Lists (tie-aware ranks, percentiles, opt-outs and leaderboards across exams)
+
+const AWS = require('aws-sdk');
+const answersService = require('../answers/service');
+const service = require('./service');
+const release = require('../exams/result-release');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  EXAMS: process.env.EXAMS_TABLE || 'TestExams',
+  USERS: process.env.USERS_TABLE || 'TestUsers',
+  ENROLLMENTS: process.env.ENROLLMENTS_TABLE || 'TestEnrollments'
+};
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============ RANKING ============
+/**
+ * Rank entries by score, highest first; tied scores share a rank and the next rank skips (1, 2, 2, 4)
+ * Percentile is the share of candidates scoring at or below the entry, so the topper is at 100
+ * @param {Array} entries - Items with a numeric `score`
+ * @returns {Array} Entries with rank and percentile, in rank order
+ */
+const rankEntries = (entries) => {
+  const sorted = [...entries].sort((a, b) => b.score - a.score);
+  const total = sorted.length;
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    if (index === 0 || entry.score !== sorted[index - 1].score) rank = index + 1;
+    return { ...entry, rank, percentile: round2(((total - rank + 1) / total) * 100) };
+  });
+};
+
+const parsePage = (query = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+};
+
+// ============ USERS ============
+const getUsers = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  const users = [];
+
+  for (let i = 0; i < ids.length; i += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [TABLES.USERS]: {
+        Keys: ids.slice(i, i + BATCH_GET_LIMIT).map(id => ({ user_id: id })),
+        ProjectionExpression: 'user_id, full_name, preferences'
+      }
+    };
+    // Retry keys DynamoDB left unprocessed under throttling
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchGet({ RequestItems: requestItems }).promise();
+      users.push(...(result.Responses[TABLES.USERS] || []));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+
+  return new Map(users.map(user => [user.user_id, user]));
+};
+
+/**
+ * Ranked list as the viewer may see it; students who set preferences.hideFromLeaderboards
+ * keep their place but show anonymously to everyone except themselves and staff
+ * @returns {Object} { total, limit, offset, has_more, entries, me }
+ */
+const presentLeaderboard = async (ranked, viewer, page) => {
+  const users = await getUsers(ranked.map(entry => entry.user_id));
+  const viewerId = viewer && viewer.userId;
+  const staff = release.isEmbargoExempt(viewer);
+
+  const present = (entry) => {
+    const user = users.get(entry.user_id);
+    const optedOut = !!(user && user.preferences && user.preferences.hideFromLeaderboards);
+    if (optedOut && !staff && entry.user_id !== viewerId) {
+      return { rank: entry.rank, percentile: entry.percentile, score: entry.score, user_id: null, full_name: null, is_hidden: true };
+    }
+    return { ...entry, full_name: user ? user.full_name : null, is_hidden: false };
+  };
+
+  const mine = ranked.find(entry => entry.user_id === viewerId);
+  return {
+    total: ranked.length,
+    limit: page.limit,
+    offset: page.offset,
+    has_more: page.offset + page.limit < ranked.length,
+    entries: ranked.slice(page.offset, page.offset + page.limit).map(present),
+    me: mine ? present(mine) : null
+  };
+};
+
+// ============ EXAM LEADERBOARD ============
+// One counted result per student, ranked by total score
+const rankExam = async (examId) => {
+  const counted = await service.getCountedExamResults(examId);
+  return rankEntries(counted.map(result => ({
+    user_id: result.user_id,
+    result_id: result.result_id,
+    total_score: result.total_score || 0,
+    total_possible: result.total_possible || 0,
+    percentage: result.percentage || 0,
+    evaluation_pending: !!result.evaluation_pending,
+    score: result.total_score || 0
+  })));
+};
+
+// ============ SEGMENT LEADERBOARDS ============
+const scanExams = async (filterExpression, names, values) => {
+  const exams = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.scan({
+      TableName: TABLES.EXAMS,
+      FilterExpression: filterExpression,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ExclusiveStartKey: lastKey
+    }).promise();
+    exams.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return exams;
+};
+
+const getCourseExams = async (courseIds) => {
+  const exams = [];
+  for (const courseId of [...new Set(courseIds)]) {
+    exams.push(...await scanExams('#course_id = :courseId', { '#course_id': 'course_id' }, { ':courseId': courseId }));
+  }
+  return exams;
+};
+
+const getStandardExams = async (standardId) => {
+  return scanExams('#standard_id = :standardId', { '#standard_id': 'standard_id' }, { ':standardId': standardId });
+};
+
+// Students and course ids of a batch, from the batch_id given at enrollment
+const getBatchMembers = async (batchId) => {
+  const enrollments = await answersService.queryAll({
+    TableName: TABLES.ENROLLMENTS,
+    IndexName: 'batchId-index',
+    KeyConditionExpression: 'batch_id = :batchId',
+    FilterExpression: 'is_active = :active',
+    ExpressionAttributeValues: { ':batchId': batchId, ':active': true }
+  });
+  return {
+    userIds: new Set(enrollments.map(e => e.user_id)),
+    courseIds: [...new Set(enrollments.map(e => e.course_id).filter(Boolean))]
+  };
+};
+
+/**
+ * Date window for a leaderboard: ?week=<any date in the week> gives Monday to Monday (UTC),
+ * otherwise ?from / ?to, otherwise all time
+ * @returns {Object|string} { from, to } with Dates or nulls, or a validation message
+ */
+const resolveWindow = ({ week, from, to } = {}) => {
+  if (week) {
+    const day = new Date(week === 'current' ? Date.now() : week);
+    if (isNaN(day)) return 'week must be a valid date or "current"';
+    const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return { from: start, to: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) return 'from and to must be valid dates';
+  return { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+};
+
+/**
+ * Rank students across several exams by their combined percentage (total marks over total possible)
+ * Only exams starting inside the window count; students only see exams whose scores are released
+ * @param {Array} exams - Candidate exams
+ * @param {Object} options - { window, viewer, userIds (optional Set restricting who is ranked) }
+ * @returns {Object} { exams, ranked }
+ */
+const rankAcrossExams = async (exams, { window, viewer, userIds = null }) => {
+  const staff = release.isEmbargoExempt(viewer);
+  const included = exams.filter(exam => exam.status !== 'archived'
+    && (!window.from || new Date(exam.start_time) >= window.from)
+    && (!window.to || new Date(exam.start_time) < window.to)
+    // Same rule as a single exam's leaderboard: released, and with scores visible
+    && (staff || (release.isResultReleased(exam) && release.resolveResultRelease(exam).visibility.score)));
+
+  const totals = new Map();
+  for (const exam of included) {
+    const counted = await service.getCountedExamResults(exam.exam_id);
+    counted
+      .filter(result => !userIds || userIds.has(result.user_id))
+      .forEach(result => {
+        const total = totals.get(result.user_id) || { user_id: result.user_id, total_score: 0, total_possible: 0, exams_taken: 0 };
+        total.total_score += result.total_score || 0;
+        total.total_possible += result.total_possible || 0;
+        total.exams_taken += 1;
+        totals.set(result.user_id, total);
+      });
+  }
+
+  const ranked = rankEntries([...totals.values()].map(total => {
+    const percentage = total.total_possible > 0 ? round2((total.total_score / total.total_possible) * 100) : 0;
+    return { ...total, total_score: round2(total.total_score), percentage, score: percentage };
+  }));
+
+  return {
+    exams: included.map(exam => ({ exam_id: exam.exam_id, exam_name: exam.exam_name, start_time: exam.start_time })),
+    ranked
+  };
+};
+
+module.exports = {
+  parsePage,
+  presentLeaderboard,
+  rankExam,
+  getCourseExams,
+  getStandardExams,
+  getBatchMembers,
+  resolveWindow,
+  rankAcrossExams
+};
@@ -1,23 +1,18 @@
 const express = require('express');
 const resultsController = require('./controller');
 const handler = require('../../helpers/handler');
+const { authenticate, requirePermission } = require('../../middleware/permissionMiddleware');
+const { requireOwnership } = require('../../middleware/ownershipMiddleware');
 
 const router = express.Router();
 
-// Results Management Routes
-router.post('/generate', handler(resultsController.generateResult));
-router.get('/users/:userId/exams/:examId/result', handler(resultsController.getUserResult));
-router.get('/exams/:examId/results', handler(resultsController.getAllResultsForExam));
-router.get('/users/:userId/results', handler(resultsController.getAllResultsForUser));
-router.put('/:resultId', handler(resultsController.updateResult));
-router.delete('/:resultId', handler(resultsController.deleteResult));
-router.get('/exams/:examId/leaderboard', handler(resultsController.getLeaderboard));
-router.get('/exams/:examId/result-summary', handler(resultsController.getResultSummary));
-router.get('/exams/:examId/results/export', (req, res) => {
-  // Special handling for CSV export
-  resultsController.exportResults({
-    pathParameters: { examId: req.params.examId },
+// Special handling for CSV exports: send the body as-is when the controller returns CSV
+const csvHandler = (controller) => (req, res) => {
+  controller({
+    pathParameters: req.params,
+    queryStringParameters: req.query,
     headers: req.headers,
+    user: req.user,
   }).then(result => {
     if (result.headers && result.headers['Content-Type'] === 'text/csv') {
       res.set(result.headers);
@@ -28,6 +23,24 @@ router.get('/exams/:examId/results/export', (req, res) => {
   }).catch(error => {
     res.status(500).json({ success: false, message: error.message });
   });
-});
+};
+
+// Results Management Routes
+router.post('/generate', requirePermission('canGradeAssignments'), handler(resultsController.generateResult));
+router.get('/users/:userId/exams/:examId/result', requirePermission('canViewOwnProgress', 'canViewStudentProgress'), requireOwnership('userId'), handler(resultsController.getUserResult));
+router.get('/exams/:examId/results', requirePermission('canViewReports'), handler(resultsController.getAllResultsForExam));
+router.get('/users/:userId/results', requirePermission('canViewOwnProgress', 'canViewStudentProgress'), requireOwnership('userId'), handler(resultsController.getAllResultsForUser));
+router.get('/users/:userId/trends', requirePermission('canViewOwnProgress', 'canViewStudentProgress'), requireOwnership('userId'), handler(resultsController.getStudentTrends));
+router.put('/:resultId', requirePermission('canGradeAssignments'), handler(resultsController.updateResult));
+router.delete('/:resultId', requirePermission('canGradeAssignments'), handler(resultsController.deleteResult));
+router.get('/exams/:examId/leaderboard', authenticate, handler(resultsController.getLeaderboard));
+router.get('/exams/:examId/leaderboard/me', authenticate, handler(resultsController.getMyRank));
+router.get('/leaderboards/courses/:courseId', authenticate, handler(resultsController.getCourseLeaderboard));
+router.get('/leaderboards/standards/:standardId', authenticate, handler(resultsController.getStandardLeaderboard));
+router.get('/leaderboards/batches/:batchId', authenticate, handler(resultsController.getBatchLeaderboard));
+router.get('/exams/:examId/result-summary', requirePermission('canViewReports'), handler(resultsController.getResultSummary));
+router.get('/exams/:examId/results/export', requirePermission('canViewReports'), csvHandler(resultsController.exportResults));
+router.get('/exams/:examId/item-analysis', requirePermission('canViewReports'), handler(resultsController.getItemAnalysis));
+router.get('/exams/:examId/item-analysis/export', requirePermission('canViewReports'), csvHandler(resultsController.exportItemAnalysis));
 
 module.exports = router;
\ No newline at end of file
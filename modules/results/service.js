@@ -0,0 +1,374 @@
+// Business Logic for Result Computation
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const answersService = require('../answers/service');
+const { resolveMarkingScheme } = require('../exams/marking-scheme');
+const { resolveAttemptPolicy } = require('../exams/attempt-policy');
+const examQuestionsService = require('../exam-questions/service');
+const { analyzeItems } = require('./item-analysis');
+const { resolveGradingScheme, gradeScore } = require('./grade-scales');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const TABLES = {
+  RESULTS: process.env.RESULTS_TABLE || 'TestResults',
+  ANSWERS: process.env.ANSWERS_TABLE || 'TestAnswers',
+  AUDIT_LOGS: process.env.AUDIT_LOGS_TABLE || 'TestAuditLogs'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============ ANSWERS ============
+// The latest answer per question for one attempt
+const getAttemptAnswers = async (attempt) => {
+  const answers = await answersService.queryAll({
+    TableName: TABLES.ANSWERS,
+    IndexName: 'examUser-index',
+    KeyConditionExpression: 'exam_id = :examId AND user_id = :userId',
+    FilterExpression: 'attempt_id = :attemptId',
+    ExpressionAttributeValues: {
+      ':examId': attempt.exam_id,
+      ':userId': attempt.user_id,
+      ':attemptId': attempt.attempt_id
+    }
+  });
+
+  const latest = new Map();
+  answers.forEach(answer => {
+    const current = latest.get(answer.question_id);
+    if (!current || new Date(answer.updated_at) > new Date(current.updated_at)) {
+      latest.set(answer.question_id, answer);
+    }
+  });
+  return latest;
+};
+
+// ============ COMPUTATION ============
+const addToBreakdown = (breakdown, key, possible, score, pending) => {
+  const id = key || 'unassigned';
+  if (!breakdown[id]) breakdown[id] = { total_score: 0, total_possible: 0, pending_answers: 0 };
+  breakdown[id].total_possible += possible;
+  breakdown[id].total_score += score;
+  if (pending) breakdown[id].pending_answers++;
+};
+
+const finalizeBreakdown = (breakdown) => {
+  Object.values(breakdown).forEach(entry => {
+    entry.total_score = round2(entry.total_score);
+    entry.percentage = entry.total_possible > 0 ? round2((entry.total_score / entry.total_possible) * 100) : 0;
+  });
+  return breakdown;
+};
+
+/**
+ * Compute an attempt's score from its evaluated answers
+ * @param {Array} questionSet - Exam question set entries ({ question, marks })
+ * @param {Map} answersByQuestion - Latest answer per question_id
+ * @param {Object} scheme - Resolved marking scheme; unanswered questions earn its skipped_marks
+ * @returns {Object} Totals, per-section/per-chapter breakdowns and pending-evaluation counts
+ */
+const computeScore = (questionSet, answersByQuestion, scheme = resolveMarkingScheme(null)) => {
+  let totalScore = 0;
+  let totalPossible = 0;
+  let pendingAnswers = 0;
+  let answered = 0;
+  let correct = 0;
+  const sectionBreakdown = {};
+  const chapterBreakdown = {};
+
+  questionSet.forEach(entry => {
+    const possible = Number(entry.marks) || 0;
+    const answer = answersByQuestion.get(entry.question_id);
+    const pending = !!answer && answer.status !== 'evaluated';
+    let score = 0;
+    if (!answer) score = Number(scheme.skipped_marks) || 0;
+    else if (!pending) score = Number(answer.marks_awarded) || 0;
+
+    totalPossible += possible;
+    totalScore += score;
+    if (answer) answered++;
+    if (pending) pendingAnswers++;
+    if (answer && answer.is_correct === true) correct++;
+
+    addToBreakdown(sectionBreakdown, entry.question.section_id, possible, score, pending);
+    addToBreakdown(chapterBreakdown, entry.question.chapter_id, possible, score, pending);
+  });
+
+  return {
+    total_score: round2(totalScore),
+    total_possible: totalPossible,
+    percentage: totalPossible > 0 ? round2((totalScore / totalPossible) * 100) : 0,
+    questions_total: questionSet.length,
+    questions_answered: answered,
+    questions_correct: correct,
+    pending_answers: pendingAnswers,
+    evaluation_pending: pendingAnswers > 0,
+    section_breakdown: finalizeBreakdown(sectionBreakdown),
+    chapter_breakdown: finalizeBreakdown(chapterBreakdown)
+  };
+};
+
+// ============ RESULTS ============
+const getResult = async (resultId) => {
+  const result = await dynamoDB.get({ TableName: TABLES.RESULTS, Key: { result_id: resultId } }).promise();
+  return result.Item || null;
+};
+
+const getExamResults = async (examId) => {
+  return answersService.queryAll({
+    TableName: TABLES.RESULTS,
+    IndexName: 'examId-index',
+    KeyConditionExpression: 'exam_id = :examId',
+    ExpressionAttributeValues: { ':examId': examId }
+  });
+};
+
+const getAttemptResult = async (attempt) => {
+  const results = await answersService.queryAll({
+    TableName: TABLES.RESULTS,
+    IndexName: 'userExam-index',
+    KeyConditionExpression: 'user_id = :userId AND exam_id = :examId',
+    FilterExpression: 'attempt_id = :attemptId',
+    ExpressionAttributeValues: {
+      ':userId': attempt.user_id,
+      ':examId': attempt.exam_id,
+      ':attemptId': attempt.attempt_id
+    }
+  });
+  return results[0] || null;
+};
+
+// ============ MANUAL ADJUSTMENTS ============
+// The score the answers add up to, before any teacher adjustment
+const getComputedScore = (result) => {
+  if (result.computed_total_score !== undefined) return result.computed_total_score;
+  return (result.total_score || 0) - ((result.score_adjustment && result.score_adjustment.marks) || 0);
+};
+
+/**
+ * Add a teacher's manual change ({ marks, reason, changed_by, changed_at }) on top of a computed score,
+ * so regenerating the result after a re-grade, key revision, import or AI review keeps it
+ * @param {Object} score - { total_score, total_possible, ... }
+ * @returns {Object} Score with total_score and percentage adjusted
+ */
+const applyScoreAdjustment = (score, adjustment) => {
+  if (!adjustment) return score;
+  const totalScore = round2(score.total_score + adjustment.marks);
+  return {
+    ...score,
+    total_score: totalScore,
+    percentage: score.total_possible > 0 ? round2((totalScore / score.total_possible) * 100) : 0
+  };
+};
+
+// Recomputing a manually adjusted result moves its score; keep that next to the teacher's change in the audit log
+const logAdjustedRecompute = async (before, after) => {
+  try {
+    await dynamoDB.put({
+      TableName: TABLES.AUDIT_LOGS,
+      Item: {
+        log_id: uuidv4(),
+        user_id: null,
+        action: 'ADJUSTED_RESULT_RECOMPUTED',
+        module: 'Result',
+        details: {
+          resultId: after.result_id,
+          examId: after.exam_id,
+          studentId: after.user_id,
+          adjustment: after.score_adjustment,
+          before: { total_score: before.total_score, percentage: before.percentage, computed_total_score: getComputedScore(before) },
+          after: { total_score: after.total_score, percentage: after.percentage, computed_total_score: after.computed_total_score }
+        },
+        ip_address: 'Unknown',
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60)
+      }
+    }).promise();
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
+// Exam-wide inputs to scoring, loaded once and shared by every attempt of the exam
+const loadExamContext = async (examId) => {
+  const exam = await answersService.getExam(examId);
+  const [examQuestionSet, gradingScheme] = await Promise.all([
+    examQuestionsService.getExamQuestionSet(examId),
+    resolveGradingScheme(exam)
+  ]);
+  return { exam, examQuestionSet, markingScheme: resolveMarkingScheme(exam), gradingScheme };
+};
+
+/**
+ * Compute and store the result for a closed attempt, replacing any earlier computation
+ * @param {Object} attempt - A submitted or expired exam attempt
+ * @param {Object} options - { remarks } to store with the result, { context } from loadExamContext to skip reloading the exam
+ * @returns {Object} { result, created }
+ */
+const generateAttemptResult = async (attempt, { remarks, context } = {}) => {
+  const { examQuestionSet, markingScheme, gradingScheme } = context || await loadExamContext(attempt.exam_id);
+  const [questionSet, answersByQuestion, existing] = await Promise.all([
+    answersService.getAttemptQuestionSet(attempt, examQuestionSet),
+    getAttemptAnswers(attempt),
+    getAttemptResult(attempt)
+  ]);
+
+  const computed = computeScore(questionSet, answersByQuestion, markingScheme);
+  const score = applyScoreAdjustment(computed, existing ? existing.score_adjustment : null);
+  const grading = gradeScore(score, gradingScheme);
+  const now = new Date().toISOString();
+
+  const item = {
+    ...(existing || {}),
+    result_id: existing ? existing.result_id : uuidv4(),
+    user_id: attempt.user_id,
+    exam_id: attempt.exam_id,
+    attempt_id: attempt.attempt_id,
+    attempt_no: attempt.attempt_no || 1,
+    submitted_at: attempt.submitted_at,
+    ...score,
+    computed_total_score: computed.total_score,
+    ...grading,
+    remarks: remarks !== undefined ? remarks : (existing ? existing.remarks : ''),
+    status: existing ? existing.status : 'active',
+    created_at: existing ? existing.created_at : now,
+    updated_at: now
+  };
+
+  await dynamoDB.put({ TableName: TABLES.RESULTS, Item: item }).promise();
+  if (existing && existing.score_adjustment && existing.total_score !== item.total_score) {
+    await logAdjustedRecompute(existing, item);
+  }
+
+  return { result: item, created: !existing };
+};
+
+// Regenerates results for the given attempts, skipping any that are still in progress; each exam is loaded once
+const refreshAttemptResults = async (attemptIds) => {
+  const contexts = new Map();
+  const results = [];
+  for (const attemptId of attemptIds) {
+    const attempt = await answersService.getAttempt(attemptId);
+    if (!attempt || answersService.isAttemptOpen(attempt)) continue;
+    if (!contexts.has(attempt.exam_id)) contexts.set(attempt.exam_id, await loadExamContext(attempt.exam_id));
+    const { result } = await generateAttemptResult(attempt, { context: contexts.get(attempt.exam_id) });
+    results.push(result);
+  }
+  return results;
+};
+
+// ============ SCORING POLICY ============
+const byLatest = (a, b) => (b.attempt_no || 1) - (a.attempt_no || 1) || new Date(b.created_at) - new Date(a.created_at);
+
+/**
+ * The result that counts for one user's attempts at an exam
+ * best: highest score; latest: most recent attempt; average: the latest result with averaged scores
+ * @param {Array} results - One user's results for one exam
+ * @param {string} scoringPolicy - best | latest | average
+ */
+const selectCountedResult = (results, scoringPolicy) => {
+  const ordered = [...results].sort(byLatest);
+  const summary = { scoring_policy: scoringPolicy, attempts_counted: ordered.length };
+
+  if (scoringPolicy === 'latest') return { ...ordered[0], ...summary };
+  if (scoringPolicy === 'average') {
+    const average = (field) => round2(ordered.reduce((sum, r) => sum + (Number(r[field]) || 0), 0) / ordered.length);
+    return {
+      ...ordered[0],
+      total_score: average('total_score'),
+      percentage: average('percentage'),
+      evaluation_pending: ordered.some(r => r.evaluation_pending),
+      attempt_ids: ordered.map(r => r.attempt_id),
+      ...summary
+    };
+  }
+  const best = ordered.reduce((top, r) => ((Number(r.total_score) || 0) > (Number(top.total_score) || 0) ? r : top), ordered[0]);
+  return { ...best, ...summary };
+};
+
+/**
+ * Collapse per-attempt results to one counted result per user and exam, using each exam's scoring policy
+ * @param {Array} results - Results across any users and exams
+ * @returns {Array} Counted results
+ */
+const applyScoringPolicy = async (results) => {
+  const examIds = [...new Set(results.map(r => r.exam_id))];
+  const exams = await Promise.all(examIds.map(examId => answersService.getExam(examId)));
+  const policies = new Map(examIds.map((examId, i) => [examId, resolveAttemptPolicy(exams[i]).scoring_policy]));
+
+  const groups = new Map();
+  results.forEach(result => {
+    const key = `${result.user_id}:${result.exam_id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  });
+
+  return [...groups.values()].map(group => selectCountedResult(group, policies.get(group[0].exam_id)));
+};
+
+// One counted result per student for an exam, leaving out results marked inactive
+const getCountedExamResults = async (examId) => {
+  const results = await getExamResults(examId);
+  return applyScoringPolicy(results.filter(r => r.status !== 'inactive'));
+};
+
+// ============ ITEM ANALYSIS ============
+// Latest answer per attempt and question from an exam-wide answer list
+const groupLatestAnswers = (answers) => {
+  const byAttempt = new Map();
+  answers.forEach(answer => {
+    if (!byAttempt.has(answer.attempt_id)) byAttempt.set(answer.attempt_id, new Map());
+    const latest = byAttempt.get(answer.attempt_id);
+    const current = latest.get(answer.question_id);
+    if (!current || new Date(answer.updated_at) > new Date(current.updated_at)) latest.set(answer.question_id, answer);
+  });
+  return byAttempt;
+};
+
+/**
+ * Item analysis across every closed attempt of an exam
+ * @returns {Object} { attempts_analyzed, items }
+ */
+const buildItemAnalysis = async (examId) => {
+  const [exam, attempts, answers, examQuestionSet] = await Promise.all([
+    answersService.getExam(examId),
+    answersService.getExamAttempts(examId),
+    answersService.getExamAnswers(examId),
+    examQuestionsService.getExamQuestionSet(examId)
+  ]);
+
+  const scheme = resolveMarkingScheme(exam);
+  const answersByAttempt = groupLatestAnswers(answers);
+  const closed = attempts.filter(attempt => !answersService.isAttemptOpen(attempt));
+
+  const sittings = await Promise.all(closed.map(async (attempt) => {
+    const questionSet = await answersService.getAttemptQuestionSet(attempt, examQuestionSet);
+    const answersByQuestion = answersByAttempt.get(attempt.attempt_id) || new Map();
+    return {
+      attempt_id: attempt.attempt_id,
+      percentage: computeScore(questionSet, answersByQuestion, scheme).percentage,
+      questionSet,
+      answersByQuestion
+    };
+  }));
+
+  return { attempts_analyzed: sittings.length, items: analyzeItems(sittings) };
+};
+
+module.exports = {
+  computeScore,
+  getComputedScore,
+  applyScoreAdjustment,
+  getAttemptAnswers,
+  getResult,
+  getExamResults,
+  getAttemptResult,
+  generateAttemptResult,
+  refreshAttemptResults,
+  selectCountedResult,
+  applyScoringPolicy,
+  getCountedExamResults,
+  buildItemAnalysis
+};
@@ -0,0 +1,157 @@
+// Student Performance Trends (score trajectory, subject/chapter strengths and class comparison)
+
+const service = require('./service');
+
+// Points above or below the class average that make a subject or chapter a strength or a weakness
+const STANDING_MARGIN = 5;
+// Average change in percentage per exam that counts as improving or declining
+const TREND_THRESHOLD = 1;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const percentOf = (score, possible) => (possible > 0 ? round2((score / possible) * 100) : 0);
+
+const getStanding = (difference) => {
+  if (difference >= STANDING_MARGIN) return 'strength';
+  if (difference <= -STANDING_MARGIN) return 'weakness';
+  return 'on_par';
+};
+
+// Least-squares slope of percentage over exam order
+const getTrend = (points) => {
+  if (points.length < 2) return { direction: 'insufficient_data', change_per_exam: null };
+  const n = points.length;
+  const meanX = (n - 1) / 2;
+  const meanY = points.reduce((sum, p) => sum + p.percentage, 0) / n;
+  const numerator = points.reduce((sum, p, i) => sum + (i - meanX) * (p.percentage - meanY), 0);
+  const denominator = points.reduce((sum, p, i) => sum + (i - meanX) ** 2, 0);
+  const slope = round2(numerator / denominator);
+
+  let direction = 'steady';
+  if (slope >= TREND_THRESHOLD) direction = 'improving';
+  else if (slope <= -TREND_THRESHOLD) direction = 'declining';
+  return { direction, change_per_exam: slope };
+};
+
+// Running score/possible totals keyed by subject or chapter, for the student and for the class
+const addTotals = (totals, key, student, classTotals, extra = {}) => {
+  const entry = totals.get(key) || { total_score: 0, total_possible: 0, class_score: 0, class_possible: 0, exam_ids: new Set(), ...extra };
+  entry.total_score += student.total_score || 0;
+  entry.total_possible += student.total_possible || 0;
+  entry.class_score += classTotals.total_score || 0;
+  entry.class_possible += classTotals.total_possible || 0;
+  totals.set(key, entry);
+  return entry;
+};
+
+const summarizeTotals = (totals, idField) => [...totals.entries()].map(([id, entry]) => {
+  const percentage = percentOf(entry.total_score, entry.total_possible);
+  const classAverage = percentOf(entry.class_score, entry.class_possible);
+  return {
+    [idField]: id,
+    exams_taken: entry.exam_ids.size,
+    total_score: round2(entry.total_score),
+    total_possible: round2(entry.total_possible),
+    percentage,
+    class_average: classAverage,
+    vs_class_average: round2(percentage - classAverage),
+    standing: getStanding(percentage - classAverage)
+  };
+}).sort((a, b) => b.percentage - a.percentage);
+
+// Sum of every student's chapter breakdown for one exam
+const sumClassChapters = (classResults) => {
+  const chapters = {};
+  classResults.forEach(result => {
+    Object.entries(result.chapter_breakdown || {}).forEach(([chapterId, chapter]) => {
+      const total = chapters[chapterId] || { total_score: 0, total_possible: 0 };
+      total.total_score += chapter.total_score || 0;
+      total.total_possible += chapter.total_possible || 0;
+      chapters[chapterId] = total;
+    });
+  });
+  return chapters;
+};
+
+/**
+ * Trend report for one student across the exams they were graded in
+ * @param {Array} results - The student's counted results, one per exam (already filtered to what the viewer may see)
+ * @param {Map} exams - exam_id -> exam
+ * @returns {Object} { summary, trajectory, subjects, chapters, strengths, weaknesses }
+ */
+const buildStudentTrends = async (results, exams) => {
+  const subjects = new Map();
+  const chapters = new Map();
+  const trajectory = [];
+
+  for (const result of results) {
+    const exam = exams.get(result.exam_id);
+    if (!exam) continue;
+
+    const classResults = await service.getCountedExamResults(exam.exam_id);
+    const classPercentages = classResults.map(r => r.percentage || 0);
+    const classAverage = classPercentages.length > 0 ? round2(classPercentages.reduce((sum, p) => sum + p, 0) / classPercentages.length) : 0;
+
+    trajectory.push({
+      exam_id: exam.exam_id,
+      exam_name: exam.exam_name,
+      type: exam.type,
+      subject_id: exam.subject_id,
+      chapter_ids: exam.chapter_ids || [],
+      date: exam.start_time || result.submitted_at,
+      total_score: result.total_score || 0,
+      total_possible: result.total_possible || 0,
+      percentage: result.percentage || 0,
+      grade: result.grade ?? null,
+      class_average: classAverage,
+      class_highest: classPercentages.length > 0 ? Math.max(...classPercentages) : null,
+      class_size: classResults.length,
+      vs_class_average: round2((result.percentage || 0) - classAverage)
+    });
+
+    // Class totals use every student's whole exam; subjects come from the exam, chapters from each result's breakdown
+    const classTotals = classResults.reduce((sum, r) => ({
+      total_score: sum.total_score + (r.total_score || 0),
+      total_possible: sum.total_possible + (r.total_possible || 0)
+    }), { total_score: 0, total_possible: 0 });
+    if (exam.subject_id) addTotals(subjects, exam.subject_id, result, classTotals).exam_ids.add(exam.exam_id);
+
+    const classChapters = sumClassChapters(classResults);
+    Object.entries(result.chapter_breakdown || {}).forEach(([chapterId, chapter]) => {
+      const entry = addTotals(chapters, chapterId, chapter, classChapters[chapterId] || {}, { subject_id: exam.subject_id || null });
+      entry.exam_ids.add(exam.exam_id);
+    });
+  }
+
+  trajectory.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const subjectSummary = summarizeTotals(subjects, 'subject_id');
+  const chapterSummary = summarizeTotals(chapters, 'chapter_id')
+    .map(chapter => ({ ...chapter, subject_id: chapters.get(chapter.chapter_id).subject_id }));
+  const average = (field) => (trajectory.length > 0 ? round2(trajectory.reduce((sum, t) => sum + t[field], 0) / trajectory.length) : 0);
+
+  return {
+    summary: {
+      exams_taken: trajectory.length,
+      average_percentage: average('percentage'),
+      class_average_percentage: average('class_average'),
+      best: trajectory.length > 0 ? trajectory.reduce((top, t) => (t.percentage > top.percentage ? t : top)) : null,
+      latest: trajectory.length > 0 ? trajectory[trajectory.length - 1] : null,
+      trend: getTrend(trajectory)
+    },
+    trajectory,
+    subjects: subjectSummary,
+    chapters: chapterSummary,
+    strengths: {
+      subjects: subjectSummary.filter(s => s.standing === 'strength').map(s => s.subject_id),
+      chapters: chapterSummary.filter(c => c.standing === 'strength').map(c => c.chapter_id)
+    },
+    weaknesses: {
+      subjects: subjectSummary.filter(s => s.standing === 'weakness').map(s => s.subject_id),
+      chapters: chapterSummary.filter(c => c.standing === 'weakness').map(c => c.chapter_id)
+    }
+  };
+};
+
+module.exports = {
+  buildStudentTrends
+};
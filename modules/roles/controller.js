@@ -2,6 +2,7 @@ require('dotenv').config();
 const AWS = require("aws-sdk");
 const { v4: uuidv4 } = require('uuid');
 const { JWSauthenticate } = require("../../components/JWTtoken");
+const { DEFAULT_PERMISSIONS } = require('./permissions');
 
 AWS.config.update({
   region: process.env.AWS_REGION || 'ap-south-1',
@@ -29,49 +30,6 @@ const createResponse = (statusCode, body) => {
   };
 };
 
-// Default role permissions
-const DEFAULT_PERMISSIONS = {
-  admin: [
-    'canManageUsers',
-    'canManageRoles',
-    'canManageCourses',
-    'canUploadMaterial',
-    'canDeleteMaterial',
-    'canViewAllData',
-    'canManageCategories',
-    'canManageSubjects',
-    'canGenerateReports',
-    'canManageSettings'
-  ],
-  teacher: [
-    'canUploadMaterial',
-    'canManageCourses',
-    'canViewStudentProgress',
-    'canGradeAssignments',
-    'canCreateQuizzes',
-    'canViewReports'
-  ],
-  student: [
-    'canViewCourses',
-    'canEnrollCourses',
-    'canViewMaterials',
-    'canTakeQuizzes',
-    'canSubmitAssignments',
-    'canViewOwnProgress'
-  ],
-  parent: [
-    'canViewLinkedStudents',
-    'canViewStudentProgress',
-    'canViewStudentCourses',
-    'canReceiveNotifications'
-  ],
-  system: [
-    'systemAccess',
-    'canRunAutomatedTasks',
-    'canAccessAPIs'
-  ]
-};
-
 // 1. Create Role
 async function createRole(event) {
   try {
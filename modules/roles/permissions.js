@@ -0,0 +1,56 @@
+// Role Permissions
+
+// Default role permissions, used when a role has no stored record
+const DEFAULT_PERMISSIONS = {
+  admin: [
+    'canManageUsers',
+    'canManageRoles',
+    'canManageCourses',
+    'canUploadMaterial',
+    'canDeleteMaterial',
+    'canViewAllData',
+    'canManageCategories',
+    'canManageSubjects',
+    'canGenerateReports',
+    'canManageSettings'
+  ],
+  teacher: [
+    'canUploadMaterial',
+    'canManageCourses',
+    'canViewStudentProgress',
+    'canGradeAssignments',
+    'canCreateQuizzes',
+    'canViewReports'
+  ],
+  student: [
+    'canViewCourses',
+    'canEnrollCourses',
+    'canViewMaterials',
+    'canTakeQuizzes',
+    'canSubmitAssignments',
+    'canViewOwnProgress'
+  ],
+  parent: [
+    'canViewLinkedStudents',
+    'canViewStudentProgress',
+    'canViewStudentCourses',
+    'canReceiveNotifications'
+  ],
+  system: [
+    'systemAccess',
+    'canRunAutomatedTasks',
+    'canAccessAPIs'
+  ]
+};
+
+// Admins pass every permission check
+const SUPERUSER_ROLE = 'admin';
+
+const hasPermission = (role, permissions, required) => role === SUPERUSER_ROLE
+  || required.some(permission => permissions.includes(permission));
+
+module.exports = {
+  DEFAULT_PERMISSIONS,
+  SUPERUSER_ROLE,
+  hasPermission
+};
@@ -95,6 +95,7 @@ async function createUser(event) {
         language: 'en',
         ttsEnabled: false,
         accessibilityOptions: {},
+        hideFromLeaderboards: false,
         ...preferences
       },
       notificationPrefs: notificationPrefs,
@@ -9,6 +9,7 @@ const userRoutes = require("../modules/users/routes");
 const rolesRoutes = require("../modules/roles/routes");
 const profilesRoutes = require("../modules/profiles/routes");
 const sessionsRoutes = require("../modules/sessions/routes");
+const parentLinksRoutes = require("../modules/parent-links/routes");
 const auditLogsRoutes = require("../modules/audit-logs/routes");
 const enrollmentsRoutes = require("../modules/enrollments/routes");
 const coursesRoutes = require("../modules/courses/routes");
@@ -33,10 +34,15 @@ const materialAnalyticsRoutes = require("../modules/material-analytics/routes");
 const questionsRoutes = require("../modules/questions/routes");
 const questionOptionsRoutes = require("../modules/question-options/routes");
 const examQuestionsRoutes = require("../modules/exam-questions/routes");
+const examAccommodationsRoutes = require("../modules/exam-accommodations/routes");
+const blindGradingRoutes = require("../modules/blind-grading/routes");
 const answersRoutes = require("../modules/answers/routes");
 const errorBankRoutes = require("../modules/error-bank/routes");
 const resultsRoutes = require("../modules/results/routes");
+const reEvaluationsRoutes = require("../modules/re-evaluations/routes");
+const notificationsRoutes = require("../modules/notifications/routes");
 const claudeAIRoutes = require("../modules/claude-ai/routes");
+const aiGradingRoutes = require("../modules/ai-grading/routes");
 const anthropicUploadRoutes = require("../modules/anthropic-upload/routes");
 const adaptiveContentRoutes = require("../modules/adaptive-content/routes");
 const s3UploadRoutes = require("../modules/s3-upload/routes");
@@ -55,6 +61,8 @@ function registerRoutes(app) {
   app.use('/roles', rolesRoutes);
   app.use('/profiles', profilesRoutes);
   app.use('/sessions', sessionsRoutes);
+  app.use('/parent-links', parentLinksRoutes);
+  app.use('/notifications', notificationsRoutes);
 
   // ============ SYSTEM MANAGEMENT ============
   app.use('/audit-logs', auditLogsRoutes);
@@ -84,6 +92,7 @@ function registerRoutes(app) {
   // ============ EXAM MANAGEMENT ============
   app.use('/exams', examsRoutes);
   app.use('/questions', questionsRoutes);
+  app.use('/blind-grading', blindGradingRoutes);
 
   // ============ LEARNING TOOLS ============
   app.use('/flashcards', flashcardsRoutes);
@@ -91,10 +100,12 @@ function registerRoutes(app) {
   // ============ ANALYTICS & REPORTING ============
   app.use('/error-bank', errorBankRoutes);
   app.use('/results', resultsRoutes);
+  app.use('/re-evaluations', reEvaluationsRoutes);
 
   // ============ AI INTEGRATION ============
   // ⚠️ IMPORTANT: Namespaced routes MUST come before root-level routes
   app.use('/anthropic', anthropicUploadRoutes); // Anthropic file upload routes
+  app.use('/ai-grading', aiGradingRoutes); // AI grading proposals and teacher review queue
   app.use('/adaptive-content', adaptiveContentRoutes); // Adaptive content generation routes
   app.use('/adaptive-content-library', adaptiveContentLibraryRoutes); // Adaptive content library routes
   app.use('/s3-upload', s3UploadRoutes); // S3 pre-signed URL routes for large file uploads
@@ -108,6 +119,7 @@ function registerRoutes(app) {
   app.use('/', assignmentQuestionOptionsRoutes); // Assignment question options use mixed paths
   app.use('/', questionOptionsRoutes); // Question options use mixed paths
   app.use('/', examQuestionsRoutes); // Exam questions use mixed paths
+  app.use('/', examAccommodationsRoutes); // Exam accommodations use mixed paths
   app.use('/', answersRoutes); // Answers use mixed paths
   app.use('/', userNotesRoutes); // User notes use mixed paths
   app.use('/', materialAnalyticsRoutes); // Material analytics use mixed paths
@@ -125,23 +137,23 @@ function registerRoutes(app) {
  */
 function getRouteSummary() {
   return {
-    totalModules: 37,
+    totalModules: 43,
     categories: {
-      'Core Auth & Users': ['auth', 'users', 'roles', 'profiles', 'sessions'],
+      'Core Auth & Users': ['auth', 'users', 'roles', 'profiles', 'sessions', 'parent-links', 'notifications'],
       'System Management': ['audit-logs'],
       'Course Management': ['enrollments', 'courses', 'course-bundles'],
       'Educational Hierarchy': ['standards', 'subjects', 'chapters', 'sections', 'hierarchy', 'file-hierarchy'],
       'Content Management': ['materials', 'material-views', 'material-mappings', 'material-tags', 'localized-content'],
       'Assignment Management': ['assignments', 'assignment-questions', 'assignment-question-options'],
-      'Exam Management': ['exams', 'questions', 'question-options', 'exam-questions', 'answers'],
+      'Exam Management': ['exams', 'questions', 'question-options', 'exam-questions', 'exam-accommodations', 'blind-grading', 'answers'],
       'Learning Tools': ['flashcards', 'user-notes'],
-      'Analytics & Reporting': ['material-analytics', 'error-bank', 'results'],
-      'AI Integration': ['claude-ai', 'anthropic-upload', 'adaptive-content', 'adaptive-content-library', 's3-upload', 'book-upload']
+      'Analytics & Reporting': ['material-analytics', 'error-bank', 'results', 're-evaluations'],
+      'AI Integration': ['claude-ai', 'ai-grading', 'anthropic-upload', 'adaptive-content', 'adaptive-content-library', 's3-upload', 'book-upload']
     },
     routePatterns: {
       'Standard Namespace': ['/auth/*', '/users/*', '/courses/*', '/materials/*', '/exams/*', '/hierarchy/*', '/book-upload/*', '/adaptive-content-library/*'],
       'Root Level Routes': ['hierarchy', 'user-notes', 'answers', 'claude-ai'],
-      'Mixed Path Routes': ['assignment-questions', 'question-options', 'exam-questions']
+      'Mixed Path Routes': ['assignment-questions', 'question-options', 'exam-questions', 'exam-accommodations']
     }
   };
 }